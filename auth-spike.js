@@ -10,19 +10,23 @@
  * ==================
  * 1. Configuration & Initialization
  * 2. Utility Functions
- * 3. Auth Form Handlers (Signup, Login, Logout, Password)
+ * 3. Auth Form Handlers (Signup, Login, OAuth, Passwordless, Logout, Password)
  * 4. Profile Management
  * 5. Unified Page Protection System
- * 6. Course Page Entitlement Checking
- * 7. Account Page Data Population
- * 8. Lesson Progress Tracking
- * 9. Profiles Directory (People Page)
- * 10. Global Auth State Listener
- * 11. Initialization Calls
+ * 6. Lesson Progress Tracking
+ * 7. Profiles Directory (People Page)
+ * 8. Global Auth State Listener
+ * 9. Course Page Entitlement Checking
+ * 10. Account Page Data Population
+ * 11. Multi-Factor Authentication (MFA)
+ * 12. Stripe Checkout & Billing
+ * 13. Admin Console
+ * 14. Account Data Export & Deletion
+ * 15. Initialization Calls
  */
 
 // Build timestamp - UPDATE THIS WITH EACH COMMIT
-const BUILD_VERSION = "01/02/2026, 23:28:40"; // Profiles directory now respects data-protected attribute
+const BUILD_VERSION = "19/10/2026, 21:17:24"; // Quiet change email log
 console.log(`[auth-spike] loaded - Version: ${BUILD_VERSION}`);
 
 // ============================================================================
@@ -57,11 +61,78 @@ const CONFIG = window.SB_CONFIG || {
     afterSignup: "/account",
     afterLogout: "/login",
     loginPage: "/login",
+    mfaChallenge: "/login", // Page with #mfaChallengeForm
+    mfaSetup: "/account", // Page with the #mfaEnroll widget
+    noAccess: "/no-access", // Course page without a valid entitlement
+    accessExpired: "/access-expired", // Course page whose entitlement has ended
   },
   // URL patterns for different page types (customize based on your Webflow structure)
   urlPatterns: {
     course: "/courses/{course_slug}", // e.g., /courses/javascript-basics
     lesson: "/lessons/{lesson_slug}", // e.g., /lessons/lms-future-webflow-10
+    renew: "/courses/{course_slug}/renew", // Shown for expired / expiring entitlements
+    upgrade: "/courses/{course_slug}/upgrade?level={access_level}", // Shown below the top access level
+    profile: "/people/profile?id={id}", // Profile detail page, linked from directory cards
+  },
+  // Entitlements ending within this many days are flagged "expiring soon"
+  expiringSoonDays: 14,
+  // Stripe Checkout ([data-checkout-course] buttons)
+  checkout: {
+    endpoint: null, // Defaults to {url}/functions/v1/create-checkout-session
+    successPath: "/checkout/success", // Page with [data-checkout-success]
+    portalEndpoint: null, // Defaults to {url}/functions/v1/create-portal-session
+  },
+  // Profiles directory (/people): cards per page for search results and "load more"
+  directory: {
+    pageSize: 24,
+  },
+  // Avatar uploads (#avatarInput, directory edit form): Storage bucket and square size in px
+  avatars: {
+    bucket: "avatars",
+    size: 256,
+    maxUploadMb: 10,
+  },
+  // Entitlement access levels, lowest to highest (used by data-required-level)
+  accessLevels: ["member", "premium"],
+  // [data-progress-video] lessons: share of the video that must be watched (seeking excluded)
+  video: {
+    completeThreshold: 0.9,
+    savePositionEverySeconds: 15,
+  },
+  // Profile fields shown in #profileForm, the directory edit form and directory cards
+  // type: "text" | "textarea" | "url" | "select" (with options)
+  // bio, role, company, location and website are profiles columns; any other key is
+  // stored in profiles.extra (public: true) or profiles.extra_private (public: false)
+  // Members can further limit public fields to logged-in members or themselves (#profileForm)
+  profileFields: [
+    { key: "bio", label: "Bio", type: "textarea", maxLength: 500, public: true },
+    { key: "role", label: "Role", type: "text", maxLength: 100, public: true },
+    { key: "company", label: "Company", type: "text", maxLength: 100, public: true, icon: "🏢" },
+    { key: "location", label: "Location", type: "text", maxLength: 100, public: true, icon: "📍" },
+    { key: "website", label: "Website", type: "url", maxLength: 200, public: true, icon: "🔗" },
+  ],
+  // New passwords in #signupForm and #updatePwForm (checked before Supabase's own rules)
+  // blockCommon rejects the built-in COMMON_PASSWORDS list plus blockedPasswords
+  passwordPolicy: {
+    minLength: 10,
+    requireLowercase: true,
+    requireUppercase: true,
+    requireNumber: true,
+    requireSymbol: false,
+    blockCommon: true,
+    blockedPasswords: [], // e.g. your product or company name
+  },
+  // "Delete my account" (delete-account Edge Function); the emailed link opens confirmPath
+  accountDeletion: {
+    endpoint: null, // Defaults to {url}/functions/v1/delete-account
+    confirmPath: "/account/delete", // Page with #confirmDeleteAccountBtn
+  },
+  // OAuth providers for [data-oauth-provider] buttons (enable each in Supabase → Authentication → Providers)
+  // redirectTo defaults to redirects.afterLogin
+  providers: {
+    google: { scopes: "email profile" },
+    github: { scopes: "read:user user:email" },
+    azure: { scopes: "email" },
   },
 };
 
@@ -78,9 +149,10 @@ const supabaseClient = createClient(CONFIG.url, CONFIG.publishableKey);
  * Creates one if it doesn't exist, updates email if it does
  * @param {string} userId - The user's auth ID
  * @param {string} email - The user's email
+ * @param {{full_name?: string, avatar_url?: string}} [defaults] - Prefill values (e.g. from OAuth metadata)
  * @returns {Promise<{success: boolean, profile?: any, error?: any}>}
  */
-async function ensureProfileExists(userId, email) {
+async function ensureProfileExists(userId, email, defaults = {}) {
   try {
     // First try to get existing profile
     const { data: existingProfile, error: fetchError } = await supabaseClient
@@ -95,6 +167,23 @@ async function ensureProfileExists(userId, email) {
     }
 
     if (existingProfile) {
+      // Backfill blank name/avatar (e.g. row created by the handle_new_user trigger)
+      const backfill = {};
+      if (!existingProfile.full_name && defaults.full_name) backfill.full_name = defaults.full_name;
+      if (!existingProfile.avatar_url && defaults.avatar_url) backfill.avatar_url = defaults.avatar_url;
+
+      if (Object.keys(backfill).length > 0) {
+        const { data: updatedProfile, error: updateError } = await supabaseClient
+          .from("profiles")
+          .update({ ...backfill, updated_at: new Date().toISOString() })
+          .eq("id", userId)
+          .select()
+          .single();
+
+        if (!updateError) return { success: true, profile: updatedProfile };
+        console.warn("Profile backfill failed:", updateError);
+      }
+
       return { success: true, profile: existingProfile };
     }
 
@@ -106,8 +195,8 @@ async function ensureProfileExists(userId, email) {
       .insert({
         id: userId,
         email: email,
-        full_name: "",
-        avatar_url: "",
+        full_name: defaults.full_name || "",
+        avatar_url: defaults.avatar_url || "",
       })
       .select()
       .single();
@@ -147,11 +236,117 @@ async function requireAuthOrRedirect(redirectTo = CONFIG.redirects.loginPage) {
   return session;
 }
 
+// Utility: Remove a used auth ?code= from the address bar without reloading
+function removeAuthCodeFromUrl(url = new URL(window.location.href)) {
+  url.searchParams.delete("code");
+  window.history.replaceState({}, document.title, url.toString());
+}
+
+// --------------------
+// FORM FEEDBACK
+// --------------------
+// Messages are routed into designer-placed targets, e.g.
+// <div data-feedback-for="loginForm"></div>, which are announced via an ARIA
+// live region. Pages without a target fall back to the console (and alerts).
+
+// Friendly messages for common Supabase error codes - override via CONFIG.errorMessages
+const DEFAULT_ERROR_MESSAGES = {
+  invalid_credentials: "That email and password don't match. Please try again.",
+  email_not_confirmed: "Please confirm your email first - check your inbox for the link.",
+  over_request_rate_limit: "Too many attempts. Please wait a minute and try again.",
+  over_email_send_rate_limit: "We've sent too many emails to this address. Please wait a few minutes.",
+  weak_password: "Please choose a stronger password.",
+  same_password: "Your new password must be different from your current one.",
+  user_already_exists: "An account with this email already exists. Try logging in instead.",
+  otp_expired: "That code has expired. Please request a new one.",
+  mfa_verification_failed: "That code is incorrect. Please try again.",
+  incorrect_password: "That password is incorrect. Please try again.",
+  reauthentication_needed: "For your security, enter your password (or log out and back in) first.",
+  quiz_attempt_limit: "You've used all your attempts for now. Please try again in an hour.",
+  quiz_not_passed: "Pass the quiz to complete this lesson.",
+};
+
+/**
+ * Turn a Supabase (or other) error into a message suitable for users
+ * @param {any} error - Error object from Supabase or a thrown Error
+ * @returns {string}
+ */
+function getFriendlyErrorMessage(error) {
+  const messages = { ...DEFAULT_ERROR_MESSAGES, ...(CONFIG.errorMessages || {}) };
+
+  let code = error?.code;
+  // Our RPCs and triggers raise their code as the exception message (e.g. quiz_attempt_limit)
+  if (messages[error?.message]) code = error.message;
+  // Older auth responses only carry a message/status, so infer the code
+  if (!code) {
+    const text = (error?.message || "").toLowerCase();
+    if (text.includes("invalid login credentials")) code = "invalid_credentials";
+    else if (text.includes("email not confirmed")) code = "email_not_confirmed";
+    else if (error?.status === 429 || text.includes("rate limit")) code = "over_request_rate_limit";
+    else if (text.includes("password should be")) code = "weak_password";
+  }
+
+  return messages[code] || error?.message || "Something went wrong. Please try again.";
+}
+
+/**
+ * Find the [data-feedback-for] target for a form/component, preparing it as a live region
+ */
+function getFeedbackTarget(targetId) {
+  if (!targetId) return null;
+  const el = document.querySelector(`[data-feedback-for="${targetId}"]`);
+  if (!el) return null;
+
+  if (!el.hasAttribute("aria-live")) {
+    el.setAttribute("role", "status");
+    el.setAttribute("aria-live", "polite");
+    el.setAttribute("aria-atomic", "true");
+  }
+  return el;
+}
+
+/**
+ * Render a message into a feedback target with a success/error/loading state
+ * Also marks the form busy and disables its submit buttons while loading
+ * (or the target itself when it's a button, e.g. #manageBillingBtn)
+ */
+function renderFeedback(targetId, message, state) {
+  const form = targetId ? document.getElementById(targetId) : null;
+  if (form) {
+    const loading = state === "loading";
+    form.setAttribute("aria-busy", loading ? "true" : "false");
+    if (form.matches("button, input")) {
+      form.disabled = loading;
+    } else if (form.tagName === "A") {
+      // Webflow link blocks can't be disabled; handlers check aria-busy instead
+      form.setAttribute("aria-disabled", loading ? "true" : "false");
+    }
+    form.querySelectorAll('[type="submit"], button:not([type])').forEach((btn) => {
+      btn.disabled = loading;
+    });
+  }
+
+  const el = getFeedbackTarget(targetId);
+  if (!el) return false;
+
+  // Errors interrupt, everything else waits its turn
+  el.setAttribute("aria-live", state === "error" ? "assertive" : "polite");
+  el.setAttribute("data-feedback-state", state);
+  el.classList.remove("feedback--success", "feedback--error", "feedback--loading");
+  if (message) el.classList.add(`feedback--${state}`);
+  el.textContent = message;
+  el.style.display = message ? "" : "none";
+  return true;
+}
+
 // Utility: Show user feedback
-function showFeedback(message, isError = false) {
+// Pass the form/component id as targetId to render into [data-feedback-for="<targetId>"]
+function showFeedback(message, isError = false, targetId = null) {
+  const rendered = renderFeedback(targetId, message, isError ? "error" : "success");
+
   // For demo/Loom recording: use console only to avoid popups
   // Set ENABLE_ALERTS=true in CONFIG to re-enable alerts
-  const useAlerts = CONFIG.enableAlerts || false;
+  const useAlerts = (CONFIG.enableAlerts || false) && !rendered;
 
   if (isError) {
     console.error(`[auth-spike] Error: ${message}`);
@@ -162,10 +357,289 @@ function showFeedback(message, isError = false) {
   }
 }
 
+// Utility: Show a loading message and disable the form until the next showFeedback
+function showLoading(targetId, message = "Loading...") {
+  renderFeedback(targetId, message, "loading");
+}
+
+// Utility: Hide any message and re-enable the form
+function clearFeedback(targetId) {
+  renderFeedback(targetId, "", "success");
+}
+
+// --------------------
+// TEMPLATE RENDERING
+// --------------------
+// Designers can provide a <template id="..."> in a Webflow embed and style it
+// visually; JS only fills the hooks (see docs/research/template-element-method.md):
+// - data-field="full_name"          → textContent (src for <img>)
+// - data-field-attr="href"          → write the value to this attribute instead
+// - data-field-style="width"        → write the value to this style property instead
+// - data-show-if / data-hide-if     → toggle an element on a truthy field
+// Elements whose field is empty are hidden. Renderers fall back to the built-in
+// markup when the template isn't on the page.
+
+/**
+ * Get a <template> element by id, or null if the designer hasn't added one
+ */
+function getTemplate(templateId) {
+  const template = document.getElementById(templateId);
+  return template && template.content ? template : null;
+}
+
+/**
+ * Fill data-field / data-show-if / data-hide-if hooks inside root
+ * Safe to call again on an already-rendered element to update it in place
+ * @param {Element|DocumentFragment} root
+ * @param {object} data
+ */
+function fillTemplateFields(root, data) {
+  root.querySelectorAll("[data-field]").forEach((el) => {
+    const value = data[el.getAttribute("data-field")];
+    const isEmpty = value === null || value === undefined || value === "";
+    const attr = el.getAttribute("data-field-attr") || (el.tagName === "IMG" ? "src" : null);
+    const styleProp = el.getAttribute("data-field-style");
+
+    if (styleProp) {
+      el.style[styleProp] = isEmpty ? "" : String(value);
+    } else if (attr) {
+      if (isEmpty) el.removeAttribute(attr);
+      else el.setAttribute(attr, String(value));
+    } else {
+      el.textContent = isEmpty ? "" : String(value);
+    }
+    el.style.display = isEmpty ? "none" : "";
+  });
+
+  root.querySelectorAll("[data-show-if]").forEach((el) => {
+    el.style.display = data[el.getAttribute("data-show-if")] ? "" : "none";
+  });
+
+  root.querySelectorAll("[data-hide-if]").forEach((el) => {
+    el.style.display = data[el.getAttribute("data-hide-if")] ? "none" : "";
+  });
+}
+
+/**
+ * Clone a template and fill it with data
+ * @returns {Element|null} The filled root element, or null if the template doesn't exist
+ */
+function renderTemplate(templateId, data) {
+  const template = getTemplate(templateId);
+  if (!template) return null;
+
+  const fragment = template.content.cloneNode(true);
+  fillTemplateFields(fragment, data);
+  return fragment.firstElementChild;
+}
+
+/**
+ * Replace a container's contents with one cloned template per item
+ * @returns {boolean} false if the template doesn't exist (caller renders fallback markup)
+ */
+function renderTemplateList(container, templateId, items) {
+  if (!getTemplate(templateId)) return false;
+
+  const fragment = document.createDocumentFragment();
+  items.forEach((item) => {
+    const el = renderTemplate(templateId, item);
+    if (el) fragment.appendChild(el);
+  });
+  container.replaceChildren(fragment);
+  return true;
+}
+
 // ============================================================================
 // 3. AUTH FORM HANDLERS
 // ============================================================================
 
+// --------------------
+// PASSWORD POLICY (CONFIG.passwordPolicy)
+// --------------------
+// #signupPassword and #newPassword get a live strength meter. Place
+// <div data-password-strength-for="signupPassword"></div> to position it
+// (one is inserted after the input otherwise). Policy failures block submit
+// and render into [data-feedback-for="<input id>"], or the form's target.
+
+// Most common leaked passwords (lowercase). Checked with leading/trailing
+// digits and symbols removed too, so "Password123!" is rejected as well
+const COMMON_PASSWORDS = new Set([
+  "123456", "12345678", "123456789", "1234567890", "12345", "1234567", "111111",
+  "000000", "123123", "654321", "666666", "121212", "112233", "987654321",
+  "password", "passw0rd", "p@ssw0rd", "p@ssword", "password1", "qwerty", "qwertyuiop",
+  "qwerty123", "azerty", "asdfgh", "asdfghjkl", "zxcvbnm", "1q2w3e4r", "1qaz2wsx",
+  "qazwsx", "abc", "abcdef", "abcdefg", "iloveyou", "admin", "administrator",
+  "welcome", "letmein", "login", "master", "monkey", "dragon", "football", "baseball",
+  "soccer", "hockey", "basketball", "superman", "batman", "trustno", "sunshine",
+  "princess", "shadow", "michael", "jennifer", "jordan", "charlie", "freedom",
+  "whatever", "starwars", "pokemon", "computer", "internet", "secret", "changeme",
+  "default", "hello", "hellohello", "mustang", "liverpool", "chelsea", "arsenal",
+  "summer", "winter", "spring", "autumn", "flower", "cookie", "cheese", "chocolate",
+  "lovely", "loveme", "iloveu", "ashley", "daniel", "thomas", "robert", "matrix",
+  "killer", "hunter", "ranger", "buster", "tigger", "ginger", "pepper", "maggie",
+  "access", "qwe", "zaq", "test", "testing", "guest", "user", "supabase", "webflow",
+]);
+
+const PASSWORD_STRENGTH_LABELS = ["Too weak", "Weak", "Fair", "Good", "Strong"];
+
+/**
+ * CONFIG.passwordPolicy with defaults for anything not set
+ */
+function getPasswordPolicy() {
+  const policy = CONFIG.passwordPolicy || {};
+  return {
+    minLength: policy.minLength ?? 10,
+    requireLowercase: policy.requireLowercase ?? true,
+    requireUppercase: policy.requireUppercase ?? true,
+    requireNumber: policy.requireNumber ?? true,
+    requireSymbol: policy.requireSymbol ?? false,
+    blockCommon: policy.blockCommon ?? true,
+    blockedPasswords: policy.blockedPasswords || [],
+  };
+}
+
+/**
+ * Whether a password is (or is built around) a common/blocked password
+ */
+function isCommonPassword(password, blockedPasswords = []) {
+  const lower = password.toLowerCase();
+  const core = lower.replace(/^[^a-z]+|[^a-z]+$/g, "");
+  const blocked = new Set(blockedPasswords.map((p) => String(p).toLowerCase()));
+  return [lower, core].some((candidate) => COMMON_PASSWORDS.has(candidate) || blocked.has(candidate));
+}
+
+/**
+ * Check a password against the policy
+ * @param {string} password
+ * @param {{email?: string}} [context] - The account's email (passwords can't contain its name part)
+ * @returns {{passed: boolean, score: number, label: string, rules: {label: string, met: boolean}[], problems: string[]}}
+ */
+function checkPasswordPolicy(password = "", { email } = {}) {
+  const policy = getPasswordPolicy();
+
+  const rules = [{ label: `At least ${policy.minLength} characters`, met: password.length >= policy.minLength }];
+  if (policy.requireLowercase) rules.push({ label: "A lowercase letter", met: /[a-z]/.test(password) });
+  if (policy.requireUppercase) rules.push({ label: "An uppercase letter", met: /[A-Z]/.test(password) });
+  if (policy.requireNumber) rules.push({ label: "A number", met: /\d/.test(password) });
+  if (policy.requireSymbol) rules.push({ label: "A symbol (e.g. ! ? #)", met: /[^A-Za-z0-9]/.test(password) });
+
+  const missing = rules.filter((rule) => !rule.met).map((rule) => rule.label.toLowerCase());
+  const missingText = missing.length > 1 ? `${missing.slice(0, -1).join(", ")} and ${missing.at(-1)}` : missing[0];
+  const problems = missing.length ? [`Your password needs ${missingText}.`] : [];
+
+  if (password && policy.blockCommon && isCommonPassword(password, policy.blockedPasswords)) {
+    problems.push("This password is too common. Please choose something harder to guess.");
+  }
+
+  const emailName = (email || "").split("@")[0].toLowerCase();
+  if (emailName.length >= 4 && password.toLowerCase().includes(emailName)) {
+    problems.push("Your password can't contain your email address.");
+  }
+
+  // 0-4: length beyond the minimum and character variety, capped at "Weak" until the policy passes
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter((re) => re.test(password)).length;
+  let score = 0;
+  if (password.length >= policy.minLength) score++;
+  if (password.length >= policy.minLength + 4) score++;
+  if (classes >= 3) score++;
+  if (classes === 4 || password.length >= 20) score++;
+
+  const passed = problems.length === 0;
+  if (!passed) score = Math.min(score, 1);
+
+  return { passed, score, label: PASSWORD_STRENGTH_LABELS[score], rules, problems };
+}
+
+/**
+ * Render the strength meter for a password input
+ */
+function renderPasswordStrength(input, result) {
+  let meter = document.querySelector(`[data-password-strength-for="${input.id}"]`);
+  if (!meter) {
+    meter = document.createElement("div");
+    meter.setAttribute("data-password-strength-for", input.id);
+    meter.className = "password-strength";
+    meter.style.margin = "0.25rem 0 0.5rem";
+    input.insertAdjacentElement("afterend", meter);
+  }
+  if (!meter.id) meter.id = `${input.id}-strength`;
+
+  const describedBy = (input.getAttribute("aria-describedby") || "").split(" ").filter(Boolean);
+  if (!describedBy.includes(meter.id)) {
+    input.setAttribute("aria-describedby", [...describedBy, meter.id].join(" "));
+  }
+
+  const colors = ["#d93025", "#d93025", "#f29900", "#1e8e3e", "#1e8e3e"];
+  const hasValue = input.value.length > 0;
+
+  meter.setAttribute("data-strength", hasValue ? String(result.score) : "");
+  meter.innerHTML = `
+    <div class="password-strength__bar" style="height: 4px; background: rgba(0,0,0,0.1); border-radius: 2px; overflow: hidden;">
+      <div class="password-strength__fill" style="height: 100%; width: ${hasValue ? (result.score + 1) * 20 : 0}%; background: ${colors[result.score]};"></div>
+    </div>
+    <span class="password-strength__label" style="font-size: 0.85em;">${hasValue ? `Strength: ${escapeHtml(result.label)}` : ""}</span>
+    <ul class="password-strength__rules" style="margin: 0.25rem 0 0; padding-left: 1.25rem; font-size: 0.85em;">
+      ${result.rules
+        .map(
+          (rule) =>
+            `<li class="${rule.met ? "is-met" : "is-unmet"}" style="opacity: ${rule.met ? 0.6 : 1};">${rule.met ? "✓" : "✗"} ${escapeHtml(rule.label)}</li>`
+        )
+        .join("")}
+    </ul>
+  `;
+}
+
+/**
+ * Attach the live strength meter to a password input
+ * @param {string} inputId - e.g. "signupPassword"
+ * @param {() => string|undefined} [getEmail] - Current email, for the "contains your email" rule
+ */
+function initPasswordStrengthMeter(inputId, getEmail = () => undefined) {
+  const input = document.getElementById(inputId);
+  if (!input) return;
+
+  const update = () => {
+    const result = checkPasswordPolicy(input.value, { email: getEmail() });
+    renderPasswordStrength(input, result);
+
+    // Clear a previous submit error as soon as the password is acceptable
+    if (result.passed && input.getAttribute("aria-invalid") === "true") {
+      input.setAttribute("aria-invalid", "false");
+      clearFeedback(inputId);
+    }
+  };
+
+  input.addEventListener("input", update);
+  update();
+}
+
+/**
+ * Check a password input before submit, showing field-level messages if it fails
+ * @param {string} inputId - The password input's id
+ * @param {string} formId - Fallback feedback target when the input has none
+ * @param {string} [email]
+ * @returns {boolean} true if the password may be submitted
+ */
+function enforcePasswordPolicy(inputId, formId, email) {
+  const input = document.getElementById(inputId);
+  const result = checkPasswordPolicy(input?.value || "", { email });
+  if (input) renderPasswordStrength(input, result);
+  if (result.passed) return true;
+
+  const message = result.problems.join(" ");
+  if (input) {
+    input.setAttribute("aria-invalid", "true");
+    input.focus();
+  }
+  if (getFeedbackTarget(inputId)) {
+    clearFeedback(formId);
+    showFeedback(message, true, inputId);
+  } else {
+    showFeedback(message, true, formId);
+  }
+  return false;
+}
+
 // --------------------
 // SIGNUP HANDLER
 // --------------------
@@ -173,6 +647,8 @@ const signupForm = document.querySelector("#signupForm");
 if (signupForm) {
   if (hasDebugFlag()) console.log("Signup form detected, attaching handler");
 
+  initPasswordStrengthMeter("signupPassword", () => document.querySelector("#signupEmail")?.value.trim());
+
   signupForm.addEventListener(
     "submit",
     async (e) => {
@@ -183,10 +659,14 @@ if (signupForm) {
       const password = document.querySelector("#signupPassword")?.value;
 
       if (!email || !password) {
-        showFeedback("Please fill in all fields", true);
+        showFeedback("Please fill in all fields", true, "signupForm");
         return;
       }
 
+      if (!enforcePasswordPolicy("signupPassword", "signupForm", email)) return;
+
+      showLoading("signupForm", "Creating your account...");
+
       try {
         const { data, error } = await supabaseClient.auth.signUp({
           email,
@@ -197,7 +677,7 @@ if (signupForm) {
 
         // If email confirmation is required, show different message
         if (data.user && !data.session) {
-          showFeedback("Check your email to confirm your account!");
+          showFeedback("Check your email to confirm your account!", false, "signupForm");
         } else if (data.user && data.session) {
           // Auto-login successful - ensure profile exists
           await ensureProfileExists(data.user.id, data.user.email);
@@ -205,7 +685,7 @@ if (signupForm) {
           window.location.href = CONFIG.redirects.afterSignup;
         }
       } catch (error) {
-        showFeedback(error.message, true);
+        showFeedback(getFriendlyErrorMessage(error), true, "signupForm");
       }
     },
     true
@@ -229,10 +709,12 @@ if (loginForm) {
       const password = document.querySelector("#loginPassword")?.value;
 
       if (!email || !password) {
-        showFeedback("Please fill in all fields", true);
+        showFeedback("Please fill in all fields", true, "loginForm");
         return;
       }
 
+      showLoading("loginForm", "Logging in...");
+
       try {
         const { error } = await supabaseClient.auth.signInWithPassword({
           email,
@@ -241,9 +723,16 @@ if (loginForm) {
 
         if (error) throw error;
 
+        // Users with a verified TOTP factor must complete the MFA challenge first
+        if (await needsMfaChallenge()) {
+          clearFeedback("loginForm");
+          showMfaChallenge();
+          return;
+        }
+
         window.location.href = CONFIG.redirects.afterLogin;
       } catch (error) {
-        showFeedback(error.message, true);
+        showFeedback(getFriendlyErrorMessage(error), true, "loginForm");
       }
     },
     true
@@ -251,127 +740,411 @@ if (loginForm) {
 }
 
 // --------------------
-// LOGOUT HANDLER
+// AUTH CALLBACK (?code= returning from magic link or OAuth)
 // --------------------
-const logoutBtn = document.querySelector("#logoutBtn");
-if (logoutBtn) {
-  if (hasDebugFlag()) console.log("Logout button detected, attaching handler");
+// Passwordless and OAuth flows send the user back to the page they started on,
+// which exchanges the code and then redirects to the stored destination.
+const AUTH_REDIRECT_STORAGE_KEY = "sb_auth_redirect";
 
-  logoutBtn.addEventListener("click", async () => {
-    try {
-      const { error } = await supabaseClient.auth.signOut();
-      if (error) throw error;
+/**
+ * Exchange an auth ?code= in the URL for a session and clean up the URL
+ * @returns {Promise<object|null>} The new session, or null if there was no code or it failed
+ */
+async function exchangeAuthCodeFromUrl() {
+  const { session } = await exchangeAuthCodeWithError();
+  return session;
+}
 
-      window.location.href = CONFIG.redirects.afterLogout;
-    } catch (error) {
-      showFeedback(error.message, true);
+/**
+ * Same as exchangeAuthCodeFromUrl, but also returns why the exchange failed
+ * @returns {Promise<{session: object|null, error: any}>}
+ */
+async function exchangeAuthCodeWithError() {
+  const url = new URL(window.location.href);
+  const code = url.searchParams.get("code");
+  if (!code) return { session: null, error: null };
+
+  try {
+    const { data, error } = await supabaseClient.auth.exchangeCodeForSession(code);
+    if (error) {
+      console.warn("Code exchange failed:", error.message);
+      return { session: null, error };
     }
-  });
+
+    removeAuthCodeFromUrl(url);
+    return { session: data.session, error: null };
+  } catch (error) {
+    console.error("Code exchange error:", error);
+    return { session: null, error };
+  }
+}
+
+/**
+ * The exchange failed only because the link was opened in another browser (no
+ * PKCE code verifier here). Supabase verified the link before issuing the code
+ */
+function isMissingCodeVerifierError(error) {
+  return (
+    error?.name === "AuthPKCECodeVerifierMissingError" ||
+    error?.code === "pkce_code_verifier_not_found" ||
+    /code verifier/i.test(error?.message || "")
+  );
+}
+
+/**
+ * Pull display name and avatar from provider metadata (Google, GitHub, Azure)
+ */
+function getProfileDefaultsFromMetadata(user) {
+  const meta = user?.user_metadata || {};
+  return {
+    full_name: meta.full_name || meta.name || meta.user_name || "",
+    avatar_url: meta.avatar_url || meta.picture || "",
+  };
+}
+
+/**
+ * Handle any page that is loaded with a returning ?code=
+ * The password update page handles its own code via handlePasswordRecovery
+ */
+async function handleAuthCallback() {
+  if (document.querySelector("#updatePwForm")) return false;
+  if (!new URLSearchParams(window.location.search).has("code")) return false;
+
+  if (hasDebugFlag()) console.log("[auth-spike] Auth callback code found, exchanging for session");
+
+  // Email change links return here too (see EMAIL CHANGE below)
+  const isEmailChange = new URLSearchParams(window.location.search).has(EMAIL_CHANGE_PARAM);
+
+  const { session, error } = await exchangeAuthCodeWithError();
+  if (!session) {
+    if (isEmailChange) {
+      const url = new URL(window.location.href);
+      url.searchParams.delete(EMAIL_CHANGE_PARAM);
+      removeAuthCodeFromUrl(url);
+
+      // Opened in another browser: Supabase already applied the change, but the
+      // code only works where it was requested. Anything else (expired, already used,
+      // an error_description on the redirect) failed
+      const redirectError =
+        url.searchParams.get("error_description") || new URLSearchParams(url.hash.slice(1)).get("error_description");
+      if (redirectError) {
+        showFeedback(redirectError, true, "changeEmailForm");
+      } else if (isMissingCodeVerifierError(error)) {
+        showFeedback("Email change confirmed. Log in with your new email to continue.", false, "changeEmailForm");
+      } else {
+        showFeedback(
+          "This email change link is invalid or has expired. Request the change again.",
+          true,
+          "changeEmailForm"
+        );
+      }
+      return false;
+    }
+    showFeedback("Invalid or expired login link", true, "loginForm");
+    return false;
+  }
+
+  if (isEmailChange) {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(EMAIL_CHANGE_PARAM);
+    window.history.replaceState({}, document.title, url.toString());
+    await finishEmailChange(session.user);
+    return true;
+  }
+
+  await completeLogin(session.user);
+  return true;
+}
+
+/**
+ * Finish a passwordless or OAuth login: make sure the profile exists, then redirect
+ * @param {object} user - The signed-in Supabase user
+ */
+async function completeLogin(user) {
+  const redirectTo =
+    sessionStorage.getItem(AUTH_REDIRECT_STORAGE_KEY) || CONFIG.redirects.afterLogin;
+  sessionStorage.removeItem(AUTH_REDIRECT_STORAGE_KEY);
+  sessionStorage.removeItem(OTP_EMAIL_STORAGE_KEY);
+
+  // Same as signup: first-time users get a profile row
+  await ensureProfileExists(user.id, user.email, getProfileDefaultsFromMetadata(user));
+
+  // Users with a verified TOTP factor must complete the MFA challenge first;
+  // keep the target so the challenge form can redirect there afterwards
+  if (await needsMfaChallenge()) {
+    sessionStorage.setItem(AUTH_REDIRECT_STORAGE_KEY, redirectTo);
+    showMfaChallenge();
+    return;
+  }
+
+  window.location.href = redirectTo;
 }
 
 // --------------------
-// PASSWORD RESET REQUEST
+// OAUTH SOCIAL LOGIN
 // --------------------
-const resetForm = document.querySelector("#resetForm");
-if (resetForm) {
-  console.log("Password reset form detected, attaching handler");
-
-  resetForm.addEventListener(
-    "submit",
+// Any element with data-oauth-provider="google|github|azure" becomes a login button.
+// Scopes and post-login redirects come from CONFIG.providers.
+document.querySelectorAll("[data-oauth-provider]").forEach((button) => {
+  const provider = button.getAttribute("data-oauth-provider");
+  if (hasDebugFlag()) console.log(`OAuth button detected for ${provider}, attaching handler`);
+
+  button.addEventListener(
+    "click",
     async (e) => {
       e.preventDefault();
       e.stopPropagation(); // Prevents Webflow's handler from running
 
-      const email = document.querySelector("#resetEmail")?.value.trim();
+      const providerConfig = CONFIG.providers?.[provider] || {};
 
-      if (!email) {
-        showFeedback("Please enter your email", true);
-        return;
-      }
+      // Where to go once the callback on this page has been handled
+      sessionStorage.setItem(
+        AUTH_REDIRECT_STORAGE_KEY,
+        providerConfig.redirectTo || CONFIG.redirects.afterLogin
+      );
 
       try {
-        const { error } = await supabaseClient.auth.resetPasswordForEmail(
-          email,
-          {
-            redirectTo: `${window.location.origin}/update-password`,
-          }
-        );
+        const { error } = await supabaseClient.auth.signInWithOAuth({
+          provider,
+          options: {
+            redirectTo: `${window.location.origin}${window.location.pathname}`,
+            scopes: providerConfig.scopes || undefined,
+          },
+        });
 
         if (error) throw error;
-
-        showFeedback("Check your email for the password reset link");
       } catch (error) {
-        showFeedback(error.message, true);
+        sessionStorage.removeItem(AUTH_REDIRECT_STORAGE_KEY);
+        showFeedback(getFriendlyErrorMessage(error), true, "oauth");
       }
     },
     true
   ); // Use capturing phase to intercept before Webflow
-}
+});
 
 // --------------------
-// PASSWORD UPDATE (after email link)
+// PASSWORDLESS LOGIN (magic link + email OTP)
 // --------------------
-async function handlePasswordRecovery() {
-  // Check if we have a recovery code in the URL
-  const url = new URL(window.location.href);
-  const code = url.searchParams.get("code");
-
-  if (!code) {
-    console.log("No recovery code found in URL");
-    return false;
-  }
-
-  console.log("Recovery code found, exchanging for session");
-
-  try {
-    const { error } = await supabaseClient.auth.exchangeCodeForSession(code);
-    if (error) {
-      console.warn("Code exchange failed:", error.message);
-      return false;
-    }
-
-    // Clean up URL
-    url.searchParams.delete("code");
-    window.history.replaceState({}, document.title, url.toString());
-
-    return true;
-  } catch (error) {
-    console.error("Password recovery error:", error);
-    return false;
-  }
-}
+// The same email contains both a magic link and a 6-digit code (the Magic Link
+// template must include {{ .Token }}), so users can either click or type.
+const OTP_EMAIL_STORAGE_KEY = "sb_otp_email";
 
-const updatePwForm = document.querySelector("#updatePwForm");
-if (updatePwForm) {
-  console.log("Password update form detected");
+const magicLinkForm = document.querySelector("#magicLinkForm");
+const otpForm = document.querySelector("#otpForm");
 
-  // Try to handle recovery code first
-  handlePasswordRecovery().then((success) => {
-    if (!success) {
-      showFeedback("Invalid or expired reset link", true);
-    }
-  });
+if (magicLinkForm) {
+  if (hasDebugFlag()) console.log("Magic link form detected, attaching handler");
 
-  updatePwForm.addEventListener(
+  magicLinkForm.addEventListener(
     "submit",
     async (e) => {
       e.preventDefault();
       e.stopPropagation(); // Prevents Webflow's handler from running
 
-      const newPassword = document.querySelector("#newPassword")?.value;
-      const confirmPassword = document.querySelector("#confirmPassword")?.value;
+      const email = document.querySelector("#magicLinkEmail")?.value.trim();
 
-      if (!newPassword) {
-        showFeedback("Please enter a new password", true);
+      if (!email) {
+        showFeedback("Please enter your email", true, "magicLinkForm");
         return;
       }
 
-      // Optional: Check password confirmation if field exists
+      showLoading("magicLinkForm", "Sending...");
+
+      try {
+        const { error } = await supabaseClient.auth.signInWithOtp({
+          email,
+          options: {
+            // Bring the user back to this page so the ?code= can be exchanged
+            emailRedirectTo: `${window.location.origin}${window.location.pathname}`,
+          },
+        });
+
+        if (error) throw error;
+
+        // Remember the email so the code can be verified after a reload
+        sessionStorage.setItem(OTP_EMAIL_STORAGE_KEY, email);
+        sessionStorage.removeItem(AUTH_REDIRECT_STORAGE_KEY);
+
+        if (otpForm) {
+          otpForm.style.display = "";
+          document.querySelector("#otpCode")?.focus();
+        }
+
+        showFeedback("Check your email for a login link or 6-digit code", false, "magicLinkForm");
+      } catch (error) {
+        showFeedback(getFriendlyErrorMessage(error), true, "magicLinkForm");
+      }
+    },
+    true
+  ); // Use capturing phase to intercept before Webflow
+}
+
+if (otpForm) {
+  if (hasDebugFlag()) console.log("OTP form detected, attaching handler");
+
+  otpForm.addEventListener(
+    "submit",
+    async (e) => {
+      e.preventDefault();
+      e.stopPropagation(); // Prevents Webflow's handler from running
+
+      // #otpEmail is optional - fall back to the email used for #magicLinkForm
+      const email =
+        document.querySelector("#otpEmail")?.value.trim() ||
+        sessionStorage.getItem(OTP_EMAIL_STORAGE_KEY);
+      const token = document.querySelector("#otpCode")?.value.replace(/\s/g, "");
+
+      if (!email) {
+        showFeedback("Please request a login code first", true, "otpForm");
+        return;
+      }
+
+      if (!token || !/^\d{6}$/.test(token)) {
+        showFeedback("Please enter the 6-digit code from your email", true, "otpForm");
+        return;
+      }
+
+      showLoading("otpForm", "Verifying...");
+
+      try {
+        const { data, error } = await supabaseClient.auth.verifyOtp({
+          email,
+          token,
+          type: "email",
+        });
+
+        if (error) throw error;
+
+        await completeLogin(data.user);
+        clearFeedback("otpForm"); // Still here when the MFA challenge is shown instead
+      } catch (error) {
+        showFeedback(getFriendlyErrorMessage(error), true, "otpForm");
+      }
+    },
+    true
+  ); // Use capturing phase to intercept before Webflow
+}
+
+// --------------------
+// LOGOUT HANDLER
+// --------------------
+const logoutBtn = document.querySelector("#logoutBtn");
+if (logoutBtn) {
+  if (hasDebugFlag()) console.log("Logout button detected, attaching handler");
+
+  logoutBtn.addEventListener("click", async () => {
+    try {
+      const { error } = await supabaseClient.auth.signOut();
+      if (error) throw error;
+
+      window.location.href = CONFIG.redirects.afterLogout;
+    } catch (error) {
+      showFeedback(getFriendlyErrorMessage(error), true, "logoutBtn");
+    }
+  });
+}
+
+// --------------------
+// PASSWORD RESET REQUEST
+// --------------------
+const resetForm = document.querySelector("#resetForm");
+if (resetForm) {
+  console.log("Password reset form detected, attaching handler");
+
+  resetForm.addEventListener(
+    "submit",
+    async (e) => {
+      e.preventDefault();
+      e.stopPropagation(); // Prevents Webflow's handler from running
+
+      const email = document.querySelector("#resetEmail")?.value.trim();
+
+      if (!email) {
+        showFeedback("Please enter your email", true, "resetForm");
+        return;
+      }
+
+      showLoading("resetForm", "Sending reset link...");
+
+      try {
+        const { error } = await supabaseClient.auth.resetPasswordForEmail(
+          email,
+          {
+            redirectTo: `${window.location.origin}/update-password`,
+          }
+        );
+
+        if (error) throw error;
+
+        showFeedback("Check your email for the password reset link", false, "resetForm");
+      } catch (error) {
+        showFeedback(getFriendlyErrorMessage(error), true, "resetForm");
+      }
+    },
+    true
+  ); // Use capturing phase to intercept before Webflow
+}
+
+// --------------------
+// PASSWORD UPDATE (after email link)
+// --------------------
+async function handlePasswordRecovery() {
+  // Check if we have a recovery code in the URL
+  const url = new URL(window.location.href);
+  const code = url.searchParams.get("code");
+
+  if (!code) {
+    console.log("No recovery code found in URL");
+    return false;
+  }
+
+  console.log("Recovery code found, exchanging for session");
+
+  const session = await exchangeAuthCodeFromUrl();
+  return session !== null;
+}
+
+const updatePwForm = document.querySelector("#updatePwForm");
+if (updatePwForm) {
+  console.log("Password update form detected");
+
+  // Known once the recovery session exists, for the "contains your email" rule
+  let recoveryEmail;
+  initPasswordStrengthMeter("newPassword", () => recoveryEmail);
+
+  // Try to handle recovery code first
+  handlePasswordRecovery().then(async (success) => {
+    if (!success) {
+      showFeedback("Invalid or expired reset link", true, "updatePwForm");
+      return;
+    }
+    recoveryEmail = (await getSessionOrNull())?.user?.email;
+  });
+
+  updatePwForm.addEventListener(
+    "submit",
+    async (e) => {
+      e.preventDefault();
+      e.stopPropagation(); // Prevents Webflow's handler from running
+
+      const newPassword = document.querySelector("#newPassword")?.value;
+      const confirmPassword = document.querySelector("#confirmPassword")?.value;
+
+      if (!newPassword) {
+        showFeedback("Please enter a new password", true, "updatePwForm");
+        return;
+      }
+
+      // Optional: Check password confirmation if field exists
       if (confirmPassword && newPassword !== confirmPassword) {
-        showFeedback("Passwords do not match", true);
+        showFeedback("Passwords do not match", true, "updatePwForm");
         return;
       }
 
+      if (!enforcePasswordPolicy("newPassword", "updatePwForm", recoveryEmail)) return;
+
+      showLoading("updatePwForm", "Updating password...");
+
       try {
         const { error } = await supabaseClient.auth.updateUser({
           password: newPassword,
@@ -380,7 +1153,9 @@ if (updatePwForm) {
         if (error) throw error;
 
         showFeedback(
-          "Password updated successfully! Please log in with your new password."
+          "Password updated successfully! Please log in with your new password.",
+          false,
+          "updatePwForm"
         );
 
         // Sign out and redirect to login
@@ -389,7 +1164,142 @@ if (updatePwForm) {
           window.location.href = CONFIG.redirects.loginPage;
         }, 2000);
       } catch (error) {
-        showFeedback(error.message, true);
+        showFeedback(getFriendlyErrorMessage(error), true, "updatePwForm");
+      }
+    },
+    true
+  ); // Use capturing phase to intercept before Webflow
+}
+
+// --------------------
+// EMAIL CHANGE
+// --------------------
+// auth.updateUser({ email }) emails a confirmation link to the new address (and,
+// with "Secure email change" on in Supabase, another to the current one). Links
+// return to this page with ?email_change=1: the first of two carries a ?message=,
+// the last one a ?code= that handleAuthCallback exchanges for the updated session.
+// profiles.email follows via sql/schema/15-profiles-email-sync.sql, with a
+// client-side update on USER_UPDATED as a fallback.
+const EMAIL_CHANGE_PARAM = "email_change";
+
+/**
+ * Show the current address in every email display on the page
+ */
+function refreshUserEmailDisplays(email) {
+  document
+    .querySelectorAll("[data-user-email], #userEmail, #profileEmail")
+    .forEach((el) => {
+      el.textContent = email;
+    });
+}
+
+/**
+ * Show "waiting for confirmation" while a change is pending (#emailChangeStatus)
+ */
+function renderEmailChangeStatus(user) {
+  const statusEl = document.querySelector("#emailChangeStatus");
+  if (!statusEl) return;
+
+  statusEl.textContent = user?.new_email ? `Waiting for you to confirm ${user.new_email}` : "";
+  statusEl.style.display = user?.new_email ? "" : "none";
+}
+
+/**
+ * Copy the auth email onto the profile row (no-op when the trigger already did)
+ */
+async function syncProfileEmail(user) {
+  if (!user?.email) return;
+
+  const { error } = await supabaseClient
+    .from("profiles")
+    .update({ email: user.email })
+    .eq("id", user.id);
+
+  if (error) console.warn("[auth-spike] Could not sync profile email:", error.message);
+}
+
+/**
+ * Called after the last confirmation link's code has been exchanged
+ */
+async function finishEmailChange(user) {
+  await syncProfileEmail(user);
+  refreshUserEmailDisplays(user.email);
+  renderEmailChangeStatus(user);
+  showFeedback(`Your email is now ${user.email}`, false, "changeEmailForm");
+}
+
+/**
+ * Messages Supabase adds to the link's redirect (query or hash), e.g. after the
+ * first of two confirmations or when a link has expired
+ */
+function handleEmailChangeRedirect() {
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has(EMAIL_CHANGE_PARAM) || url.searchParams.has("code")) return;
+
+  const hashParams = new URLSearchParams(url.hash.slice(1));
+  const read = (key) => url.searchParams.get(key) || hashParams.get(key);
+  const errorDescription = read("error_description");
+  const message = read("message");
+
+  if (errorDescription) showFeedback(errorDescription, true, "changeEmailForm");
+  else if (message) showFeedback(message, false, "changeEmailForm");
+
+  ["email_change", "message", "error", "error_code", "error_description"].forEach((key) => url.searchParams.delete(key));
+  window.history.replaceState({}, document.title, `${url.pathname}${url.search}`);
+}
+
+const changeEmailForm = document.querySelector("#changeEmailForm");
+if (changeEmailForm) {
+  if (hasDebugFlag()) console.log("Change email form detected, attaching handler");
+
+  getSessionOrNull().then((session) => renderEmailChangeStatus(session?.user));
+
+  changeEmailForm.addEventListener(
+    "submit",
+    async (e) => {
+      e.preventDefault();
+      e.stopPropagation(); // Prevents Webflow's handler from running
+
+      const email = document.querySelector("#newEmail")?.value.trim();
+      const session = await getSessionOrNull();
+
+      if (!session) {
+        window.location.href = CONFIG.redirects.loginPage;
+        return;
+      }
+
+      if (!email) {
+        showFeedback("Please enter your new email", true, "changeEmailForm");
+        return;
+      }
+
+      if (email.toLowerCase() === session.user.email?.toLowerCase()) {
+        showFeedback("That's already your email", true, "changeEmailForm");
+        return;
+      }
+
+      showLoading("changeEmailForm", "Sending confirmation...");
+
+      try {
+        const redirectUrl = new URL(`${window.location.origin}${window.location.pathname}`);
+        redirectUrl.searchParams.set(EMAIL_CHANGE_PARAM, "1");
+
+        const { data, error } = await supabaseClient.auth.updateUser(
+          { email },
+          { emailRedirectTo: redirectUrl.toString() }
+        );
+
+        if (error) throw error;
+
+        changeEmailForm.reset();
+        renderEmailChangeStatus(data.user);
+        showFeedback(
+          `Check ${email} for a confirmation link. If you also get one at ${session.user.email}, confirm that too.`,
+          false,
+          "changeEmailForm"
+        );
+      } catch (error) {
+        showFeedback(getFriendlyErrorMessage(error), true, "changeEmailForm");
       }
     },
     true
@@ -420,7 +1330,7 @@ async function initializeProfileForm(session) {
 
       if (!success) {
         console.error("Could not ensure profile exists:", error);
-        showFeedback("Error loading profile. Please refresh the page.", true);
+        showFeedback("Error loading profile. Please refresh the page.", true, "profileForm");
         return;
       }
 
@@ -438,6 +1348,20 @@ async function initializeProfileForm(session) {
         }
       }
 
+      // Config-driven fields (CONFIG.profileFields)
+      renderProfileFormFields(profileForm, profile);
+
+      // Optional avatar picker: <input type="file" id="avatarInput"> + #avatarPreview
+      const avatarInput = document.querySelector("#avatarInput");
+      const avatarPreview = document.querySelector("#avatarPreview");
+      renderAvatarPreview(avatarPreview, profile?.full_name || user.email, profile?.avatar_url);
+      if (avatarInput) {
+        avatarInput.addEventListener("change", async () => {
+          const avatarUrl = await handleAvatarInput(avatarInput, user.id, "profileForm");
+          if (avatarUrl) renderAvatarPreview(avatarPreview, profile?.full_name || user.email, avatarUrl);
+        });
+      }
+
       // Handle form submission
       profileForm.addEventListener(
         "submit",
@@ -446,79 +1370,548 @@ async function initializeProfileForm(session) {
           e.stopPropagation(); // Prevents Webflow's handler from running
 
           const full_name = document.querySelector("#fullName")?.value || "";
+          const { values, errors } = readProfileFieldValues(profileForm);
+
+          if (errors.length > 0) {
+            showFeedback(errors.join(". "), true, "profileForm");
+            return;
+          }
+
+          if (hasDebugFlag()) console.log("[profile] Submitting profile update:", { full_name, ...values });
 
-          if (hasDebugFlag()) console.log("[profile] Submitting profile update:", { full_name });
+          showLoading("profileForm", "Saving...");
 
           try {
             // Re-verify session at submission time
             const { data: { session: currentSession } } = await supabaseClient.auth.getSession();
             if (!currentSession) {
-              showFeedback("Session expired. Please log in again.", true);
+              showFeedback("Session expired. Please log in again.", true, "profileForm");
               window.location.href = CONFIG.redirects.loginPage;
               return;
             }
 
             if (hasDebugFlag()) console.log("[profile] Updating profile for user:", currentSession.user.id);
 
+            const updates = {
+              full_name,
+              ...buildProfileFieldUpdates(values, profile),
+              ...readProfileVisibilityUpdates(profileForm, profile),
+              updated_at: new Date().toISOString(),
+            };
+
             const { error } = await supabaseClient
               .from("profiles")
-              .update({
-                full_name,
-                updated_at: new Date().toISOString(),
-              })
+              .update(updates)
               .eq("id", currentSession.user.id);
 
             if (error) throw error;
 
-            showFeedback("Profile updated successfully!");
+            // Keep the loaded profile current so the next save merges extra fields correctly
+            if (profile) Object.assign(profile, updates);
+
+            showFeedback("Profile updated successfully!", false, "profileForm");
             if (hasDebugFlag()) console.log("[profile] Profile updated successfully");
           } catch (error) {
             console.error("[profile] Update error:", error);
-            showFeedback(error.message, true);
+            showFeedback(getFriendlyErrorMessage(error), true, "profileForm");
           }
         },
         true
       ); // Use capturing phase to intercept before Webflow
     } catch (error) {
       console.error("Profile initialization error:", error);
-      showFeedback("Error loading profile", true);
+      showFeedback("Error loading profile", true, "profileForm");
     }
 }
 
-// ============================================================================
-// 5. UNIFIED PAGE PROTECTION SYSTEM
-// ============================================================================
+// --------------------
+// PROFILE FIELDS (CONFIG.profileFields)
+// --------------------
+// One definition drives the profile form, the directory edit form, directory cards
+// and validation. Built-in columns are saved as columns; custom keys go into the
+// profiles.extra / extra_private jsonb columns (sql/schema/11-profiles-extra-fields.sql).
+
+const PROFILE_COLUMNS = ["bio", "role", "company", "location", "website"];
+
+function getProfileFields() {
+  return CONFIG.profileFields || [];
+}
 
 /**
- * Main protection system that checks data-protected attributes
- * Protection types:
- * - "true" or "basic": Simple authentication required
- * - "course": Authentication + entitlement check (requires courseSlug element)
- * - "account": Authentication + account data population
- * - "profile": Authentication + profile form handling
+ * Read a field's value from a profile row (column or extra jsonb)
  */
-async function initializePageProtection() {
-  const protectedEl = document.querySelector("[data-protected]");
+function getProfileFieldValue(profile, field) {
+  if (!profile) return "";
+  const value = PROFILE_COLUMNS.includes(field.key)
+    ? profile[field.key]
+    : profile.extra?.[field.key] ?? profile.extra_private?.[field.key];
+  return value ?? "";
+}
 
-  if (!protectedEl) {
-    if (hasDebugFlag()) console.log("[auth-spike] No protection required on this page");
-    return;
+/**
+ * Add https:// to bare domains so "example.com" is accepted as a website
+ */
+function normalizeProfileFieldValue(field, value) {
+  const trimmed = String(value ?? "").trim();
+  if (field.type === "url" && trimmed && !/^[a-z][a-z0-9+.-]*:/i.test(trimmed)) {
+    return `https://${trimmed}`;
   }
+  return trimmed;
+}
 
-  const protectionType = protectedEl.getAttribute("data-protected");
-  if (hasDebugFlag()) console.log(`[auth-spike] Page protection type: ${protectionType}`);
+/**
+ * Validate one value against its definition
+ * @returns {string|null} error message, or null when valid
+ */
+function validateProfileField(field, value) {
+  const label = field.label || field.key;
 
-  // Check for debug bypass
-  if (hasDebugFlag()) {
-    console.log("[auth-spike] Protection bypassed via ?debug");
-    return;
-  }
+  if (!value) return field.required ? `${label} is required` : null;
 
-  // Most protection types need auth, so check once
-  const needsAuth = ["true", "basic", "account", "profile"].includes(protectionType);
-  let session = null;
+  if (field.maxLength && value.length > field.maxLength) {
+    return `${label} must be ${field.maxLength} characters or fewer`;
+  }
 
-  if (needsAuth) {
+  if (field.type === "url") {
+    try {
+      const url = new URL(value);
+      if (!["http:", "https:"].includes(url.protocol)) throw new Error("bad protocol");
+    } catch {
+      return `${label} must be a valid web address`;
+    }
+  }
+
+  const options = (field.options || []).map((option) => (typeof option === "object" ? option.value : option));
+  if (options.length > 0 && !options.includes(value)) {
+    return `${label} must be one of: ${options.join(", ")}`;
+  }
+
+  return null;
+}
+
+/**
+ * Form control for one field; collected later via [data-profile-field]
+ * Pass visibility to add a "who can see this" select (public fields only)
+ */
+function buildProfileFieldInputHtml(field, value, id, visibility) {
+  const common = `id="${escapeAttr(id)}" name="${escapeAttr(field.key)}" data-profile-field="${escapeAttr(field.key)}"${field.required ? " required" : ""}${field.maxLength ? ` maxlength="${field.maxLength}"` : ""}
+                 style="width: 100%; padding: 0.5rem; border: 1px solid rgba(0,0,0,0.12); border-radius: 6px;"`;
+
+  let control;
+  if (field.type === "textarea") {
+    control = `<textarea ${common} rows="3">${escapeHtml(value)}</textarea>`;
+  } else if (field.type === "select" || field.options) {
+    const options = (field.options || []).map((option) =>
+      typeof option === "object" ? option : { value: option, label: option }
+    );
+    control = `<select ${common}>
+        <option value="">—</option>
+        ${options
+          .map((o) => `<option value="${escapeAttr(o.value)}"${o.value === value ? " selected" : ""}>${escapeHtml(o.label)}</option>`)
+          .join("")}
+      </select>`;
+  } else {
+    control = `<input type="${field.type === "url" ? "url" : "text"}" ${common} value="${escapeAttr(value)}" />`;
+  }
+
+  const visibilityControl =
+    visibility !== undefined && field.public
+      ? buildVisibilitySelectHtml(FIELD_VISIBILITY_OPTIONS, visibility, {
+          "data-field-visibility": field.key,
+          "aria-label": `Who can see ${field.label || field.key}`,
+        })
+      : "";
+
+  return `
+    <div>
+      <label for="${escapeAttr(id)}" style="display: block; margin-bottom: 0.25rem; font-size: 0.875rem;">${escapeHtml(field.label || field.key)}${field.required ? " *" : ""}</label>
+      ${control}
+      ${visibilityControl}
+    </div>
+  `;
+}
+
+/**
+ * Read, normalise and validate every [data-profile-field] control in a container
+ * Invalid controls get aria-invalid="true"
+ * @returns {{values: Object<string, string>, errors: string[]}}
+ */
+function readProfileFieldValues(container) {
+  const values = {};
+  const errors = [];
+
+  getProfileFields().forEach((field) => {
+    const input = container.querySelector(`[data-profile-field="${field.key}"]`);
+    if (!input) return;
+
+    const value = normalizeProfileFieldValue(field, input.value);
+    const error = validateProfileField(field, value);
+    input.setAttribute("aria-invalid", error ? "true" : "false");
+
+    if (error) errors.push(error);
+    else values[field.key] = value;
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Turn field values into a profiles update, merging custom fields into the
+ * existing extra / extra_private objects so keys not on this form are kept
+ */
+function buildProfileFieldUpdates(values, profile) {
+  const updates = {};
+  const extra = { ...(profile?.extra || {}) };
+  const extraPrivate = { ...(profile?.extra_private || {}) };
+  let hasExtra = false;
+
+  getProfileFields().forEach((field) => {
+    if (!(field.key in values)) return;
+    const value = values[field.key] || null;
+
+    if (PROFILE_COLUMNS.includes(field.key)) {
+      updates[field.key] = value;
+      return;
+    }
+
+    hasExtra = true;
+    // A field moved between public and private lives in one place only
+    delete extra[field.key];
+    delete extraPrivate[field.key];
+    if (value) (field.public ? extra : extraPrivate)[field.key] = value;
+  });
+
+  if (hasExtra) {
+    updates.extra = extra;
+    updates.extra_private = extraPrivate;
+  }
+  return updates;
+}
+
+/**
+ * Fill the profile form's config-driven fields
+ * Uses designer-placed inputs with data-profile-field="<key>", or renders every
+ * field into a [data-profile-fields] container
+ */
+function renderProfileFormFields(form, profile) {
+  const container = form.querySelector("[data-profile-fields]");
+  if (container) {
+    container.innerHTML = getProfileFields()
+      .map((field) =>
+        buildProfileFieldInputHtml(
+          field,
+          getProfileFieldValue(profile, field),
+          `profile-${field.key}`,
+          getFieldVisibility(profile, field.key)
+        )
+      )
+      .join("");
+  } else {
+    getProfileFields().forEach((field) => {
+      const input = form.querySelector(`[data-profile-field="${field.key}"]`);
+      if (input) input.value = getProfileFieldValue(profile, field);
+    });
+  }
+
+  renderPrivacyControls(form, profile, container);
+}
+
+// --------------------
+// PROFILE PRIVACY
+// --------------------
+// directory_visibility decides who sees a member in /people at all; field_visibility
+// ({ key: "members" | "private" }, missing = public) decides who sees each field.
+// Both are enforced by the directory functions (sql/functions/profiles-directory.sql),
+// so hiding something here also hides it from the RPCs, not just the page.
+
+const DIRECTORY_VISIBILITY_OPTIONS = [
+  { value: "public", label: "Everyone" },
+  { value: "members", label: "Logged-in members only" },
+  { value: "hidden", label: "Hidden from the directory" },
+];
+
+const FIELD_VISIBILITY_OPTIONS = [
+  { value: "public", label: "Everyone" },
+  { value: "members", label: "Members" },
+  { value: "private", label: "Only me" },
+];
+
+function getFieldVisibility(profile, key) {
+  return profile?.field_visibility?.[key] || "public";
+}
+
+function buildVisibilitySelectHtml(options, value, attrs) {
+  const attrHtml = Object.entries(attrs)
+    .map(([name, attrValue]) => `${name}="${escapeAttr(attrValue)}"`)
+    .join(" ");
+  return `<select ${attrHtml} style="margin-top: 0.25rem; padding: 0.25rem; border: 1px solid rgba(0,0,0,0.12); border-radius: 6px; font-size: 0.75rem;">
+      ${options
+        .map((o) => `<option value="${o.value}"${o.value === value ? " selected" : ""}>${escapeHtml(o.label)}</option>`)
+        .join("")}
+    </select>`;
+}
+
+/**
+ * Fill a designer-placed <select> with options, unless it already has some
+ */
+function fillVisibilitySelect(select, options, value) {
+  if (select.options.length === 0) {
+    options.forEach((o) => select.add(new Option(o.label, o.value)));
+  }
+  select.value = value;
+}
+
+/**
+ * Set the profile form's privacy controls from the loaded profile
+ * - #directoryVisibility <select>, or radios with name="directoryVisibility"
+ * - <select data-field-visibility="<key>"> per field
+ * Generated forms ([data-profile-fields]) get a #directoryVisibility select added
+ */
+function renderPrivacyControls(form, profile, container) {
+  const directoryVisibility = profile?.directory_visibility || "public";
+
+  let directorySelect = form.querySelector("#directoryVisibility");
+  const directoryRadios = form.querySelectorAll('input[name="directoryVisibility"]');
+  if (!directorySelect && directoryRadios.length === 0 && container) {
+    container.insertAdjacentHTML(
+      "afterbegin",
+      `<div>
+        <label for="directoryVisibility" style="display: block; margin-bottom: 0.25rem; font-size: 0.875rem;">Show my profile in the directory to</label>
+        ${buildVisibilitySelectHtml(DIRECTORY_VISIBILITY_OPTIONS, directoryVisibility, { id: "directoryVisibility" })}
+      </div>`
+    );
+    directorySelect = form.querySelector("#directoryVisibility");
+  }
+
+  if (directorySelect?.tagName === "SELECT") {
+    fillVisibilitySelect(directorySelect, DIRECTORY_VISIBILITY_OPTIONS, directoryVisibility);
+  }
+  directoryRadios.forEach((radio) => {
+    radio.checked = radio.value === directoryVisibility;
+  });
+
+  form.querySelectorAll("select[data-field-visibility]").forEach((select) => {
+    const key = select.getAttribute("data-field-visibility");
+    fillVisibilitySelect(select, FIELD_VISIBILITY_OPTIONS, getFieldVisibility(profile, key));
+  });
+}
+
+/**
+ * Privacy columns for a profiles update, from whichever controls the form has
+ * Built-in columns configured with public: false are always stored as private,
+ * so the directory functions never return them
+ */
+function readProfileVisibilityUpdates(form, profile) {
+  const updates = {};
+  const isValid = (options, value) => options.some((o) => o.value === value);
+
+  const directorySelect = form.querySelector("select#directoryVisibility");
+  const checkedRadio = form.querySelector('input[name="directoryVisibility"]:checked');
+  const directoryVisibility = directorySelect?.value || checkedRadio?.value;
+  if (isValid(DIRECTORY_VISIBILITY_OPTIONS, directoryVisibility)) {
+    updates.directory_visibility = directoryVisibility;
+  }
+
+  const fieldVisibility = { ...(profile?.field_visibility || {}) };
+  form.querySelectorAll("select[data-field-visibility]").forEach((select) => {
+    const key = select.getAttribute("data-field-visibility");
+    if (!isValid(FIELD_VISIBILITY_OPTIONS, select.value)) return;
+    if (select.value === "public") delete fieldVisibility[key];
+    else fieldVisibility[key] = select.value;
+  });
+  getProfileFields().forEach((field) => {
+    if (!field.public && PROFILE_COLUMNS.includes(field.key)) fieldVisibility[field.key] = "private";
+  });
+
+  if (JSON.stringify(fieldVisibility) !== JSON.stringify(profile?.field_visibility || {})) {
+    updates.field_visibility = fieldVisibility;
+  }
+  return updates;
+}
+
+// --------------------
+// AVATAR UPLOAD
+// --------------------
+// Images are cropped to a centred square and resized in the browser, then uploaded
+// to Storage at {bucket}/{user_id}/avatar-<timestamp>.jpg. Storage RLS only lets a
+// user write inside their own folder (sql/schema/10-avatars-storage.sql).
+
+/**
+ * Initials for the placeholder shown when a profile has no avatar
+ */
+function getInitials(name) {
+  const words = String(name || "").replace(/@.*/, "").trim().split(/[\s._-]+/).filter(Boolean);
+  if (words.length === 0) return "?";
+  return (words[0][0] + (words.length > 1 ? words[words.length - 1][0] : "")).toUpperCase();
+}
+
+/**
+ * Avatar image, or an initials placeholder when there's no avatar_url
+ */
+function buildAvatarHtml(name, avatarUrl, className = "profile-card__avatar") {
+  if (avatarUrl) {
+    return `<img class="${className}" src="${escapeAttr(avatarUrl)}" alt="${escapeAttr(name)}'s avatar">`;
+  }
+  return `<div class="${className} ${className}--initials" aria-hidden="true"
+               style="display: flex; align-items: center; justify-content: center; width: 48px; height: 48px; border-radius: 50%; background: #e2e8f0; color: #4a5568; font-weight: 600;">${escapeHtml(getInitials(name))}</div>`;
+}
+
+/**
+ * Show the avatar (or initials) in #avatarPreview - an <img> or a container
+ */
+function renderAvatarPreview(previewEl, name, avatarUrl) {
+  if (!previewEl) return;
+  if (previewEl.tagName === "IMG") {
+    if (avatarUrl) previewEl.src = avatarUrl;
+    previewEl.style.display = avatarUrl ? "" : "none";
+    return;
+  }
+  previewEl.innerHTML = buildAvatarHtml(name, avatarUrl, "avatar-preview");
+}
+
+/**
+ * Crop to a centred square and resize to CONFIG.avatars.size, as a JPEG blob
+ */
+async function resizeAvatarImage(file) {
+  const size = CONFIG.avatars?.size || 256;
+  const url = URL.createObjectURL(file);
+
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error("That file doesn't look like an image"));
+      img.src = url;
+    });
+
+    const side = Math.min(image.naturalWidth, image.naturalHeight);
+    const canvas = document.createElement("canvas");
+    canvas.width = size;
+    canvas.height = size;
+    canvas
+      .getContext("2d")
+      .drawImage(
+        image,
+        (image.naturalWidth - side) / 2,
+        (image.naturalHeight - side) / 2,
+        side,
+        side,
+        0,
+        0,
+        size,
+        size
+      );
+
+    return await new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error("Could not process image"))),
+        "image/jpeg",
+        0.85
+      );
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Resize, upload and save a new avatar for the user
+ * Older avatars in the user's folder are removed afterwards
+ * @returns {Promise<string>} the new public avatar_url
+ */
+async function uploadAvatar(userId, file) {
+  const bucket = CONFIG.avatars?.bucket || "avatars";
+  const maxBytes = (CONFIG.avatars?.maxUploadMb || 10) * 1024 * 1024;
+
+  if (!file.type.startsWith("image/")) throw new Error("Please choose an image file");
+  if (file.size > maxBytes) throw new Error(`Images must be smaller than ${CONFIG.avatars?.maxUploadMb || 10} MB`);
+
+  const blob = await resizeAvatarImage(file);
+  // New file name each time so browsers and the CDN don't serve the old image
+  const path = `${userId}/avatar-${Date.now()}.jpg`;
+  const storage = supabaseClient.storage.from(bucket);
+
+  const { error: uploadError } = await storage.upload(path, blob, {
+    contentType: "image/jpeg",
+    cacheControl: "31536000",
+  });
+  if (uploadError) throw uploadError;
+
+  const avatarUrl = storage.getPublicUrl(path).data.publicUrl;
+
+  const { error: updateError } = await supabaseClient
+    .from("profiles")
+    .update({ avatar_url: avatarUrl, updated_at: new Date().toISOString() })
+    .eq("id", userId);
+  if (updateError) throw updateError;
+
+  // Best effort cleanup of replaced avatars
+  const { data: files } = await storage.list(userId);
+  const stale = (files || []).map((f) => `${userId}/${f.name}`).filter((name) => name !== path);
+  if (stale.length > 0) await storage.remove(stale);
+
+  if (hasDebugFlag()) console.log("[profile] Avatar uploaded:", avatarUrl);
+  return avatarUrl;
+}
+
+/**
+ * Upload the file chosen in an avatar <input type="file"> with form feedback
+ * @returns {Promise<string|null>} the new avatar_url, or null on failure
+ */
+async function handleAvatarInput(input, userId, feedbackTarget) {
+  const file = input.files?.[0];
+  if (!file) return null;
+
+  showLoading(feedbackTarget, "Uploading photo...");
+  try {
+    const avatarUrl = await uploadAvatar(userId, file);
+    showFeedback("Photo updated!", false, feedbackTarget);
+    return avatarUrl;
+  } catch (error) {
+    console.error("[profile] Avatar upload failed:", error);
+    showFeedback(getFriendlyErrorMessage(error), true, feedbackTarget);
+    return null;
+  } finally {
+    input.value = ""; // Allow choosing the same file again
+  }
+}
+
+// ============================================================================
+// 5. UNIFIED PAGE PROTECTION SYSTEM
+// ============================================================================
+
+/**
+ * Main protection system that checks data-protected attributes
+ * Protection types:
+ * - "true" or "basic": Simple authentication required
+ * - "course": Authentication + entitlement check (requires courseSlug element)
+ * - "account": Authentication + account data population
+ * - "profile": Authentication + profile form handling
+ * - "mfa": Authentication + session must be at aal2 (TOTP verified)
+ * - "admin": Authentication + admin role (user_roles) + admin console
+ */
+async function initializePageProtection() {
+  const protectedEl = document.querySelector("[data-protected]");
+
+  if (!protectedEl) {
+    if (hasDebugFlag()) console.log("[auth-spike] No protection required on this page");
+    return;
+  }
+
+  const protectionType = protectedEl.getAttribute("data-protected");
+  if (hasDebugFlag()) console.log(`[auth-spike] Page protection type: ${protectionType}`);
+
+  // Check for debug bypass
+  if (hasDebugFlag()) {
+    console.log("[auth-spike] Protection bypassed via ?debug");
+    return;
+  }
+
+  // Most protection types need auth, so check once
+  const needsAuth = ["true", "basic", "account", "profile", "mfa", "admin"].includes(protectionType);
+  let session = null;
+
+  if (needsAuth) {
     session = await requireAuthOrRedirect();
     if (!session) return; // Redirect already happened
   }
@@ -546,10 +1939,28 @@ async function initializePageProtection() {
       // Auth + account data population + profile form if present
       await populateAccountPage();
       await renderProgressOnAccount();
+      initProgressResetButtons();
       // Initialize profile form if it exists (common pattern: account page with edit form)
       if (document.querySelector("#profileForm")) {
         await initializeProfileForm(session);
       }
+      // MFA enrollment widget is optional on the account page
+      if (document.querySelector("#mfaEnroll")) {
+        await initMfaEnrollment();
+      }
+      // Stripe billing portal button is optional on the account page
+      if (document.querySelector("#manageBillingBtn")) {
+        await initManageBillingButton(session);
+      }
+      // Data export and account deletion are optional on the account page
+      initDataExportButton(session);
+      initDeleteAccountForm();
+      break;
+
+    case "mfa":
+      // Auth + aal2 session required
+      if (!(await requireMfaOrRedirect())) return; // Redirect already happened
+      if (hasDebugFlag()) console.log("MFA verified, access granted");
       break;
 
     case "profile":
@@ -557,6 +1968,12 @@ async function initializePageProtection() {
       await initializeProfileForm(session);
       break;
 
+    case "admin":
+      // Auth + admin role, then the entitlements console
+      if (!(await requireAdminOrRedirect())) return; // Redirect already happened
+      await initAdminConsole();
+      break;
+
     default:
       console.warn(`[auth-spike] Unknown protection type: ${protectionType}, defaulting to basic auth`);
       await requireAuthOrRedirect();
@@ -564,7 +1981,7 @@ async function initializePageProtection() {
 }
 
 // ============================================================================
-// 8. LESSON PROGRESS TRACKING
+// 6. LESSON PROGRESS TRACKING
 // ============================================================================
 
 /**
@@ -583,411 +2000,1623 @@ function readText(id) {
   return el ? el.textContent.trim() : null;
 }
 
-/**
- * Mark a lesson as complete in Supabase
- */
-async function markLessonComplete() {
-  const session = await getSessionOrNull();
-  if (!session) {
-    console.log("[progress] No session, cannot mark complete");
-    return;
-  }
+// --------------------
+// OFFLINE PROGRESS QUEUE
+// --------------------
+// Every progress write (views and completions) goes into a localStorage queue
+// first and is removed once Supabase accepts it. If the network drops, the
+// write stays queued and is replayed on the next page load, when the browser
+// comes back online, or when a session returns. Entries are deduped by
+// user_id + lesson_slug, so only the latest state of each lesson is sent.
+// Video positions are queued separately from views/completions, so a position
+// that can't be saved (e.g. 08-lesson-progress-video-position.sql not run)
+// never takes a completion down with it.
+
+const PROGRESS_QUEUE_STORAGE_KEY = "sb_progress_queue";
+let progressQueueMemory = []; // Fallback when localStorage is unavailable (e.g. private mode)
+let progressFlushPromise = null;
+
+function buildProgressQueueKey(userId, lessonSlug, isVideoPosition = false) {
+  return `${userId}:${lessonSlug}${isVideoPosition ? ":video" : ""}`;
+}
 
-  const userId = session.user.id;
-  const courseSlug = readText("courseSlug");
-  const moduleSlug = readText("moduleSlug");
-  const lessonSlug = readText("lessonSlug");
+function getProgressQueueKey(entry) {
+  return buildProgressQueueKey(entry.user_id, entry.lesson_slug, "video_position" in entry);
+}
 
-  if (!lessonSlug) {
-    console.warn("[progress] No lessonSlug found in DOM");
-    return;
+function readProgressQueue() {
+  try {
+    return JSON.parse(localStorage.getItem(PROGRESS_QUEUE_STORAGE_KEY) || "[]");
+  } catch {
+    return progressQueueMemory;
   }
+}
 
-  const nowIso = new Date().toISOString();
+function writeProgressQueue(queue) {
+  progressQueueMemory = queue;
+  try {
+    if (queue.length) localStorage.setItem(PROGRESS_QUEUE_STORAGE_KEY, JSON.stringify(queue));
+    else localStorage.removeItem(PROGRESS_QUEUE_STORAGE_KEY);
+  } catch {
+    // Memory copy above still works for this page
+  }
+}
 
-  const payload = {
-    user_id: userId,
-    course_slug: courseSlug,
-    module_slug: moduleSlug,
-    lesson_slug: lessonSlug,
-    completed: true,
-    completed_at: nowIso,
-    last_viewed_at: nowIso,
-    updated_at: nowIso,
-  };
+/**
+ * Add a lesson_progress payload to the queue, merging with any pending write
+ * for the same lesson (a later view keeps an earlier, unsynced completion)
+ */
+function queueProgressWrite(payload) {
+  const key = getProgressQueueKey(payload);
+  const queue = readProgressQueue();
+  const existing = queue.find((entry) => getProgressQueueKey(entry) === key);
+
+  writeProgressQueue([
+    ...queue.filter((entry) => getProgressQueueKey(entry) !== key),
+    { ...existing, ...payload },
+  ]);
+}
 
-  const { error } = await supabaseClient
-    .from("lesson_progress")
-    .upsert(payload, { onConflict: "user_id,lesson_slug" });
+/**
+ * Get the queued (not yet synced) write for a lesson, if any
+ * @param {boolean} [isVideoPosition] - the video position write instead of the view/completion one
+ */
+function getPendingProgressWrite(userId, lessonSlug, isVideoPosition = false) {
+  const key = buildProgressQueueKey(userId, lessonSlug, isVideoPosition);
+  return readProgressQueue().find((entry) => getProgressQueueKey(entry) === key) || null;
+}
 
-  if (error) {
-    console.error("[progress] upsert failed", error);
-    showFeedback("Could not save progress", true);
-    return;
-  }
+/**
+ * Connectivity failures are retried; anything else (RLS, bad data) would fail forever
+ */
+function isNetworkError(error) {
+  if (!navigator.onLine) return true;
+  return /failed to fetch|network|load failed|timeout/i.test(error?.message || "");
+}
 
-  // Update UI to show completion
-  const statusEl = document.getElementById("completionStatus");
-  if (statusEl) {
-    statusEl.textContent = "✅ Completed";
-  }
+/**
+ * Send queued writes for the signed-in user
+ * Other users' entries stay queued until they sign in again
+ *
+ * A pass only sends what was queued when it started, so each call gets its own
+ * pass, run after any pass already in flight (writes queued meanwhile aren't missed)
+ * @returns {Promise<{pending: number, failed: Array<{entry: object, error: object}>}>}
+ */
+async function flushProgressQueue() {
+  const previous = progressFlushPromise || Promise.resolve({ failed: [] });
+
+  const pass = previous
+    .catch(() => ({ failed: [] }))
+    .then(async (earlier) => {
+      const result = await runProgressFlushPass();
+      // Keep failures from the passes this one waited for - they may have sent this caller's write
+      return { ...result, failed: [...earlier.failed, ...result.failed] };
+    });
+  progressFlushPromise = pass;
 
-  // Also update button text if needed
-  const btn = document.getElementById("markCompleteBtn");
-  if (btn) {
-    btn.textContent = "Completed";
-    btn.disabled = true;
+  try {
+    return await pass;
+  } finally {
+    if (progressFlushPromise === pass) progressFlushPromise = null;
   }
-
-  console.log("[progress] Marked complete:", lessonSlug);
-  showFeedback("Progress saved!");
 }
 
 /**
- * Check if lesson is already completed and update UI
+ * One pass over the signed-in user's queued writes (use flushProgressQueue)
  */
-async function checkLessonProgress() {
+async function runProgressFlushPass() {
+  const failed = [];
   const session = await getSessionOrNull();
-  if (!session) return;
-
-  const lessonSlug = readText("lessonSlug");
-  if (!lessonSlug) return;
-
-  const userId = session.user.id;
-
-  const { data, error } = await supabaseClient
-    .from("lesson_progress")
-    .select("completed, completed_at")
-    .eq("user_id", userId)
-    .eq("lesson_slug", lessonSlug)
-    .maybeSingle();
-
-  if (error) {
-    console.error("[progress] check failed", error);
-    return;
+  if (!session || readProgressQueue().length === 0) {
+    return { pending: readProgressQueue().length, failed };
   }
 
-  if (data?.completed) {
-    // Update UI to show already completed
-    const statusEl = document.getElementById("completionStatus");
-    if (statusEl) {
-      statusEl.textContent = "✅ Completed";
+  for (const entry of readProgressQueue().filter((e) => e.user_id === session.user.id)) {
+    const { error } = await supabaseClient
+      .from("lesson_progress")
+      .upsert(entry, { onConflict: "user_id,lesson_slug" });
+
+    if (error && isNetworkError(error)) {
+      if (hasDebugFlag()) console.log("[progress] Offline, keeping queued writes");
+      break;
     }
 
-    const btn = document.getElementById("markCompleteBtn");
-    if (btn) {
-      btn.textContent = "Completed";
-      btn.disabled = true;
+    if (error) {
+      console.error("[progress] Dropping progress write that can't be saved", error, entry);
+      failed.push({ entry, error });
+    } else if (hasDebugFlag()) {
+      console.log("[progress] Synced:", entry.lesson_slug);
     }
 
-    console.log("[progress] Already completed:", lessonSlug);
+    // Remove the entry unless it was updated again while this request was in flight
+    const key = getProgressQueueKey(entry);
+    writeProgressQueue(
+      readProgressQueue().filter(
+        (e) => getProgressQueueKey(e) !== key || e.updated_at !== entry.updated_at
+      )
+    );
   }
+
+  return { pending: readProgressQueue().length, failed };
 }
 
 /**
- * Initialize lesson progress UI and handlers
+ * Replay queued writes and refresh the current lesson's pending-sync indicator
  */
-function initLessonProgressUI() {
-  // Only run on lesson pages (check for lessonSlug)
+async function syncQueuedProgress() {
+  if (readProgressQueue().length === 0) return;
+
+  await flushProgressQueue();
+
+  const session = await getSessionOrNull();
   const lessonSlug = readText("lessonSlug");
-  if (!lessonSlug) {
-    return; // Not a lesson page
+  if (session && lessonSlug && !getPendingProgressWrite(session.user.id, lessonSlug)) {
+    // Current lesson is synced - drop the "waiting to sync" indicator
+    const btn = document.getElementById("markCompleteBtn");
+    const statusEl = document.getElementById("completionStatus");
+    if (statusEl?.getAttribute("data-sync-state") === "pending") {
+      setCompletionUI(btn ? btn.getAttribute("data-completed") === "true" : false);
+      await renderCourseProgress();
+    }
   }
+}
 
-  console.log("[progress] Initializing for lesson:", lessonSlug);
+/**
+ * Queue a progress write and try to send it straight away
+ * @returns {Promise<"synced"|"pending"|"failed">}
+ */
+async function saveProgressWrite(payload) {
+  queueProgressWrite(payload);
+  const { failed } = await flushProgressQueue();
+
+  const key = getProgressQueueKey(payload);
+  const isThisWrite = ({ entry }) =>
+    getProgressQueueKey(entry) === key && entry.updated_at === payload.updated_at;
+  if (failed.some(isThisWrite)) return "failed";
+  return readProgressQueue().some((entry) => getProgressQueueKey(entry) === key) ? "pending" : "synced";
+}
 
-  // Check existing progress on page load
-  checkLessonProgress();
+/**
+ * Show the lesson's completion state in #completionStatus and #markCompleteBtn
+ * The button stays enabled - clicking it again undoes the completion
+ * @param {boolean} completed
+ * @param {boolean} [pending] - change is queued offline and not synced yet
+ */
+function setCompletionUI(completed, pending = false) {
+  const statusEl = document.getElementById("completionStatus");
+  if (statusEl) {
+    if (!statusEl.hasAttribute("data-incomplete-text")) {
+      statusEl.setAttribute("data-incomplete-text", statusEl.textContent.trim());
+    }
+    const text = completed ? "✅ Completed" : statusEl.getAttribute("data-incomplete-text");
+    statusEl.textContent = pending ? `${text} ⏳ Waiting to sync` : text;
+    statusEl.setAttribute("data-sync-state", pending ? "pending" : "synced");
+    statusEl.classList.toggle("is-pending-sync", pending);
+  }
 
-  // Attach handler to mark complete button
   const btn = document.getElementById("markCompleteBtn");
   if (btn) {
-    btn.addEventListener("click", async (e) => {
-      e.preventDefault();
-      await markLessonComplete();
-    });
-    console.log("[progress] Mark complete button handler attached");
+    // Remember the designer's label so it can be restored on undo
+    if (!btn.hasAttribute("data-incomplete-text")) {
+      btn.setAttribute("data-incomplete-text", btn.textContent.trim() || "Mark complete");
+    }
+    btn.textContent = completed
+      ? btn.getAttribute("data-completed-text") || "Completed (undo)"
+      : btn.getAttribute("data-incomplete-text");
+    btn.setAttribute("aria-pressed", completed ? "true" : "false");
+    btn.setAttribute("data-completed", completed ? "true" : "false");
+    btn.disabled = false;
   }
 }
 
-// ============================================================================
-// 9. PROFILES DIRECTORY (PEOPLE PAGE)
-// ============================================================================
-
 /**
- * Initialize profiles directory page
- * Shows all profiles with view/edit permissions demo
- * Only own profile can be edited
- * Respects data-protected attribute:
- * - With data-protected: requires login, full features
- * - Without data-protected: public view, edit only if logged in
+ * Save the lesson's completion state in Supabase
+ * @returns {Promise<boolean>} true if the change was saved
  */
-async function initProfilesDirectory() {
-  // Only run on /people page
-  if (!window.location.pathname.startsWith("/people")) {
-    return;
+async function saveLessonCompletion(completed) {
+  const session = await getSessionOrNull();
+  if (!session) {
+    console.log("[progress] No session, cannot save progress");
+    return false;
   }
 
-  if (hasDebugFlag()) console.log("[directory] Initializing profiles directory");
+  const userId = session.user.id;
+  const courseSlug = readText("courseSlug");
+  const moduleSlug = readText("moduleSlug") || "";
+  const lessonSlug = readText("lessonSlug");
 
-  // Check if page has data-protected attribute
-  const protectedEl = document.querySelector("[data-protected]");
-  const isProtected = protectedEl !== null;
+  if (!lessonSlug) {
+    console.warn("[progress] No lessonSlug found in DOM");
+    return false;
+  }
 
-  // Get current session (don't force redirect yet)
-  const { data: { session } } = await supabaseClient.auth.getSession();
-  const currentUserId = session?.user?.id || null;
+  const nowIso = new Date().toISOString();
 
-  // If page is protected and no session, redirect to login
-  if (isProtected && !session) {
-    if (hasDebugFlag()) console.log("[directory] Page is protected, redirecting to login");
-    window.location.href = CONFIG.redirects.loginPage;
-    return;
-  }
+  const payload = {
+    user_id: userId,
+    course_slug: courseSlug,
+    module_slug: moduleSlug,
+    lesson_slug: lessonSlug,
+    completed,
+    completed_at: completed ? nowIso : null,
+    last_viewed_at: nowIso,
+    updated_at: nowIso,
+  };
 
-  if (hasDebugFlag()) {
-    console.log("[directory] Mode:", isProtected ? "protected" : "public");
-    console.log("[directory] User:", session ? "logged in" : "anonymous");
-  }
+  const result = await saveProgressWrite(payload);
 
-  // Get DOM elements
-  const listEl = document.getElementById("profilesList");
-  const emptyEl = document.getElementById("profilesEmpty");
-  const errorEl = document.getElementById("profilesError");
-  const loadingEl = document.getElementById("profilesLoading");
+  if (result === "failed") {
+    showFeedback("Could not save progress", true);
+    return false;
+  }
 
-  // Add auth button at the top of the list
-  const authButtonHtml = session
-    ? `<div style="text-align: right; margin-bottom: 1rem;">
-         <span style="margin-right: 1rem; color: #666;">Logged in as ${session.user.email}</span>
-         <button id="logoutBtnDirectory" style="padding: 0.5rem 1rem; background: #dc2626; color: white; border: none; border-radius: 6px; cursor: pointer;">
-           Logout
-         </button>
-       </div>`
-    : `<div style="text-align: right; margin-bottom: 1rem;">
-         <button id="loginBtnDirectory" style="padding: 0.5rem 1rem; background: #4299e1; color: white; border: none; border-radius: 6px; cursor: pointer;">
-           Login to Edit Profiles
-         </button>
-       </div>`;
+  setCompletionUI(completed, result === "pending");
 
-  if (!listEl) {
-    console.warn("[directory] #profilesList element not found on /people page");
-    return;
+  console.log(`[progress] Marked ${completed ? "complete" : "not complete"} (${result}):`, lessonSlug);
+  if (result === "pending") {
+    showFeedback("You're offline - progress will sync when you reconnect");
+  } else {
+    showFeedback(completed ? "Progress saved!" : "Lesson marked as not completed");
   }
 
-  // Show loading state
-  if (loadingEl) loadingEl.style.display = "";
+  // Keep course progress bars on the page in step
+  await renderCourseProgress();
+  return true;
+}
 
-  try {
-    // Fetch profiles using public RPC (works for everyone)
-    if (hasDebugFlag()) console.log("[directory] Fetching profiles via public RPC");
+/**
+ * Mark a lesson as complete in Supabase
+ * Blocked while the lesson has a [data-quiz] form that hasn't been passed
+ * @returns {Promise<boolean>} true if the completion was saved
+ */
+async function markLessonComplete() {
+  await passedQuizzesLoaded; // Learners who passed on an earlier visit aren't blocked meanwhile
+  if (getUnpassedQuizzes().length > 0) {
+    console.log("[progress] Quiz not passed yet, not completing");
+    showFeedback("Pass the quiz to complete this lesson", true);
+    return false;
+  }
+  return saveLessonCompletion(true);
+}
 
-    let { data: profiles, error } = await supabaseClient.rpc("list_profile_cards_public");
+/**
+ * Undo a completion (completed = false, completed_at cleared)
+ * @returns {Promise<boolean>} true if the change was saved
+ */
+async function markLessonIncomplete() {
+  return saveLessonCompletion(false);
+}
 
-    if (error) {
-      console.error("[directory] Failed to load profiles:", error);
-      throw error;
-    }
+/**
+ * Record that the lesson was opened (last_viewed_at) without touching completion
+ * Powers [data-resume-course] buttons
+ */
+async function recordLessonView() {
+  const session = await getSessionOrNull();
+  if (!session) return;
 
-    // Sort profiles to show logged-in user first
-    if (currentUserId && profiles && profiles.length > 0) {
-      profiles.sort((a, b) => {
-        if (a.id === currentUserId) return -1;
-        if (b.id === currentUserId) return 1;
-        return 0; // maintain existing order for others
-      });
-      if (hasDebugFlag()) console.log("[directory] Sorted profiles to show current user first");
-    }
+  const courseSlug = readText("courseSlug");
+  const lessonSlug = readText("lessonSlug");
+  if (!courseSlug || !lessonSlug) return;
 
-    // Hide loading
-    if (loadingEl) loadingEl.style.display = "none";
+  const nowIso = new Date().toISOString();
 
-    if (!profiles || profiles.length === 0) {
-      // Show empty state
-      listEl.innerHTML = "";
-      if (emptyEl) {
-        emptyEl.style.display = "";
-        emptyEl.textContent = "No profiles found yet.";
-      }
-      return;
-    }
+  // Only the columns sent are updated on conflict, so completed/completed_at stay as they are
+  const result = await saveProgressWrite({
+    user_id: session.user.id,
+    course_slug: courseSlug,
+    module_slug: readText("moduleSlug") || "",
+    lesson_slug: lessonSlug,
+    last_viewed_at: nowIso,
+    updated_at: nowIso,
+  });
 
-    // Hide empty state and error
-    if (emptyEl) emptyEl.style.display = "none";
-    if (errorEl) errorEl.style.display = "none";
-
-    if (hasDebugFlag()) console.log(`[directory] Loaded ${profiles.length} profiles`);
-
-    // Clear any placeholder content and render with auth button
-    listEl.innerHTML = authButtonHtml + profiles
-      .map((profile) => {
-        const isMe = profile.id === currentUserId;
-        const displayName = (profile.full_name || "").trim() || "(name not set)";
-        const avatarUrl = profile.avatar_url || "";
-        const bio = profile.bio || "";
-        const location = profile.location || "";
-        const company = profile.company || "";
-        const role = profile.role || "";
-        const website = profile.website || "";
-
-        // For public view without auth, don't show edit buttons at all
-        const showEditButton = session !== null;
-
-        return `
-          <div class="profile-card" data-profile-id="${profile.id}">
-            <div class="profile-card__row">
-              ${avatarUrl ? `<img class="profile-card__avatar" src="${escapeHtml(avatarUrl)}" alt="${escapeHtml(displayName)}'s avatar">` : ''}
-              <div class="profile-card__meta">
-                <div class="profile-card__name">${escapeHtml(displayName)}</div>
-                ${role ? `<div style="color: #666; font-size: 0.875rem;">${escapeHtml(role)}</div>` : ''}
-                ${isMe ? `<div class="profile-card__badge">You</div>` : ''}
-              </div>
-            </div>
+  if (hasDebugFlag()) console.log(`[progress] Recorded view (${result}):`, lessonSlug);
+}
 
-            <!-- Expanded details (hidden by default) -->
-            <div class="profile-card__details" id="details-${profile.id}" style="display: none; margin-top: 1rem; padding-top: 1rem; border-top: 1px solid rgba(0,0,0,0.1);">
-              ${bio ? `<p style="margin: 0 0 0.75rem 0; color: #444;">${escapeHtml(bio)}</p>` : ''}
-              <div style="display: flex; flex-wrap: wrap; gap: 1rem; font-size: 0.875rem; color: #666;">
-                ${location ? `<div>📍 ${escapeHtml(location)}</div>` : ''}
-                ${company ? `<div>🏢 ${escapeHtml(company)}</div>` : ''}
-                ${website ? `<div>🔗 <a href="${escapeAttr(website)}" target="_blank" rel="noopener" style="color: #4299e1;">${escapeHtml(website.replace(/^https?:\/\/(www\.)?/, ''))}</a></div>` : ''}
-              </div>
-            </div>
+/**
+ * Check if lesson is already completed and update UI
+ */
+async function checkLessonProgress() {
+  const session = await getSessionOrNull();
+  if (!session) return;
 
-            <div class="profile-card__actions">
-              <button class="btn-view" data-action="view" data-profile-id="${profile.id}">
-                View Details
-              </button>
-              ${showEditButton
-                ? (isMe
-                  ? `<button class="btn-edit" data-action="edit" data-profile-id="${profile.id}">
-                       Edit
-                     </button>`
-                  : `<button class="btn-edit" data-action="edit" disabled title="You can only edit your own profile">
-                       Edit (Locked)
-                     </button>`)
-                : ''
-              }
-            </div>
+  const lessonSlug = readText("lessonSlug");
+  if (!lessonSlug) return;
 
-            <!-- Inline edit form (hidden by default, only for current user) -->
-            ${isMe && showEditButton ? `
-              <div class="profile-card__edit" id="edit-form-${profile.id}" style="display: none; margin-top: 0.75rem;">
-                <div style="display: grid; gap: 0.75rem;">
-                  <div>
-                    <label style="display: block; margin-bottom: 0.25rem; font-size: 0.875rem;">Full name</label>
-                    <input type="text" id="edit-name-${profile.id}" value="${escapeAttr(profile.full_name || '')}"
-                           style="width: 100%; padding: 0.5rem; border: 1px solid rgba(0,0,0,0.12); border-radius: 6px;" />
-                  </div>
-                  <div>
-                    <label style="display: block; margin-bottom: 0.25rem; font-size: 0.875rem;">Bio</label>
-                    <textarea id="edit-bio-${profile.id}" rows="3"
-                              style="width: 100%; padding: 0.5rem; border: 1px solid rgba(0,0,0,0.12); border-radius: 6px; resize: vertical;">${escapeHtml(profile.bio || '')}</textarea>
-                  </div>
-                  <div>
-                    <label style="display: block; margin-bottom: 0.25rem; font-size: 0.875rem;">Role</label>
-                    <input type="text" id="edit-role-${profile.id}" value="${escapeAttr(profile.role || '')}"
-                           style="width: 100%; padding: 0.5rem; border: 1px solid rgba(0,0,0,0.12); border-radius: 6px;" />
-                  </div>
-                  <div>
-                    <label style="display: block; margin-bottom: 0.25rem; font-size: 0.875rem;">Company</label>
-                    <input type="text" id="edit-company-${profile.id}" value="${escapeAttr(profile.company || '')}"
-                           style="width: 100%; padding: 0.5rem; border: 1px solid rgba(0,0,0,0.12); border-radius: 6px;" />
-                  </div>
-                  <div>
-                    <label style="display: block; margin-bottom: 0.25rem; font-size: 0.875rem;">Location</label>
-                    <input type="text" id="edit-location-${profile.id}" value="${escapeAttr(profile.location || '')}"
-                           style="width: 100%; padding: 0.5rem; border: 1px solid rgba(0,0,0,0.12); border-radius: 6px;" />
-                  </div>
-                  <div>
-                    <label style="display: block; margin-bottom: 0.25rem; font-size: 0.875rem;">Website</label>
-                    <input type="url" id="edit-website-${profile.id}" value="${escapeAttr(profile.website || '')}"
-                           style="width: 100%; padding: 0.5rem; border: 1px solid rgba(0,0,0,0.12); border-radius: 6px;" />
-                  </div>
-                </div>
-                <button class="btn-save" data-action="save" data-profile-id="${profile.id}" style="margin-top: 0.75rem;">
-                  Save All Changes
-                </button>
-                <span class="save-status" id="save-status-${profile.id}" style="margin-left: 0.5rem; opacity: 0.8;"></span>
-              </div>
-            ` : ''}
-          </div>
-        `;
-      })
-      .join("");
+  const userId = session.user.id;
 
-    // Attach event handlers using delegation (includes auth buttons)
-    listEl.addEventListener("click", handleDirectoryClick);
+  // An unsynced toggle from an earlier offline visit wins over the server state
+  const pending = getPendingProgressWrite(userId, lessonSlug);
+  if (pending && "completed" in pending) {
+    setCompletionUI(pending.completed, true);
+    return;
+  }
 
-    async function handleDirectoryClick(e) {
-      const button = e.target.closest("button");
-      if (!button) return;
+  const { data, error } = await supabaseClient
+    .from("lesson_progress")
+    .select("completed, completed_at")
+    .eq("user_id", userId)
+    .eq("lesson_slug", lessonSlug)
+    .maybeSingle();
 
-      // Handle auth buttons
-      if (button.id === "loginBtnDirectory") {
-        window.location.href = CONFIG.redirects.loginPage;
-        return;
-      }
+  if (error) {
+    console.error("[progress] check failed", error);
+    return;
+  }
 
-      if (button.id === "logoutBtnDirectory") {
-        await supabaseClient.auth.signOut();
-        window.location.reload();
-        return;
-      }
+  setCompletionUI(!!data?.completed);
+  if (data?.completed) console.log("[progress] Already completed:", lessonSlug);
+}
 
-      // Handle profile action buttons
-      const action = button.getAttribute("data-action");
-      const profileId = button.getAttribute("data-profile-id");
+/**
+ * Initialize lesson progress UI and handlers
+ */
+function initLessonProgressUI() {
+  // Only run on lesson pages (check for lessonSlug)
+  const lessonSlug = readText("lessonSlug");
+  if (!lessonSlug) {
+    return; // Not a lesson page
+  }
 
-      if (!profileId) return;
+  console.log("[progress] Initializing for lesson:", lessonSlug);
 
-      const isMe = profileId === currentUserId;
+  // Check existing progress on page load (quizzes first - they gate completion)
+  passedQuizzesLoaded = initQuizzes().catch((error) => console.error("[quiz] Init failed", error));
+  checkLessonProgress();
+  recordLessonView();
+  initLessonNavigation();
+  initProgressVideos();
 
-      switch (action) {
-        case "view":
-          toggleProfileDetails(profileId);
-          break;
+  // Mark complete button toggles: a second click undoes an accidental completion
+  const btn = document.getElementById("markCompleteBtn");
+  if (btn) {
+    btn.addEventListener("click", async (e) => {
+      e.preventDefault();
+      btn.disabled = true; // Re-enabled by setCompletionUI
+      const saved =
+        btn.getAttribute("data-completed") === "true"
+          ? await markLessonIncomplete()
+          : await markLessonComplete();
+      if (!saved) btn.disabled = false;
+    });
+    console.log("[progress] Mark complete button handler attached");
+  }
+}
 
-        case "edit":
-          if (!isMe) {
-            showFeedback("You can only edit your own profile", true);
-            return;
-          }
-          toggleEditForm(profileId);
-          break;
+// --------------------
+// COURSE MANIFEST & COMPLETION
+// --------------------
+// Completion percentages need to know which lessons a course contains. The
+// manifest comes from a Webflow CMS collection list on the page, e.g.
+//   <div data-course-lesson="intro-to-js" data-module-slug="basics"
+//        data-course-slug="javascript-basics" data-lesson-title="Intro">
+// (data-course-slug defaults to #courseSlug), or else from the course_lessons table.
+// Progress renders into [data-course-progress] (value = course slug, defaults to #courseSlug).
 
-        case "save":
-          if (!isMe) return;
-          await saveProfileChanges(profileId);
-          break;
-      }
-    }
+/**
+ * Read lessons from [data-course-lesson] elements, grouped by course
+ */
+function readCourseManifestFromDom() {
+  const pageCourseSlug = getCourseSlugFromDom();
+  const manifests = {};
+
+  document.querySelectorAll("[data-course-lesson]").forEach((el, index) => {
+    const courseSlug = el.getAttribute("data-course-slug") || pageCourseSlug;
+    const lessonSlug = el.getAttribute("data-course-lesson");
+    if (!courseSlug || !lessonSlug) return;
+
+    (manifests[courseSlug] = manifests[courseSlug] || []).push({
+      course_slug: courseSlug,
+      module_slug: el.getAttribute("data-module-slug") || "",
+      lesson_slug: lessonSlug,
+      title: el.getAttribute("data-lesson-title") || el.textContent.trim(),
+      position: index,
+    });
+  });
 
-    /**
-     * Toggle expanded profile details
-     */
-    function toggleProfileDetails(profileId) {
-      const detailsEl = document.getElementById(`details-${profileId}`);
-      const viewBtn = document.querySelector(`button[data-action="view"][data-profile-id="${profileId}"]`);
+  return manifests;
+}
 
-      if (detailsEl) {
-        const isVisible = detailsEl.style.display !== "none";
-        detailsEl.style.display = isVisible ? "none" : "";
+/**
+ * Get the ordered lesson list for each course
+ * Lessons on the page win; the rest are loaded from course_lessons
+ * @returns {Promise<Object<string, Array>>} course_slug → lessons
+ */
+async function getCourseManifests(courseSlugs) {
+  const manifests = readCourseManifestFromDom();
+  const missing = courseSlugs.filter((slug) => !manifests[slug]);
+  if (missing.length === 0) return manifests;
 
-        if (viewBtn) {
-          viewBtn.textContent = isVisible ? "View Details" : "Hide Details";
-        }
-      }
-    }
+  const { data, error } = await supabaseClient
+    .from("course_lessons")
+    .select("course_slug, module_slug, lesson_slug, title, position")
+    .in("course_slug", missing)
+    .order("position", { ascending: true });
 
-    /**
-     * Toggle inline edit form visibility
-     */
-    function toggleEditForm(profileId, show = null) {
-      const editForm = document.getElementById(`edit-form-${profileId}`);
-      if (!editForm) return;
+  if (error) {
+    if (hasDebugFlag()) console.log("[progress] No course_lessons data:", error.message);
+    return manifests;
+  }
 
-      if (show === null) {
+  (data || []).forEach((lesson) => {
+    (manifests[lesson.course_slug] = manifests[lesson.course_slug] || []).push(lesson);
+  });
+  return manifests;
+}
+
+/**
+ * Load the user's completed lesson slugs for the given courses
+ * @returns {Promise<Object<string, Set<string>>>} course_slug → completed lesson slugs
+ */
+async function getCompletedLessonsByCourse(userId, courseSlugs) {
+  const { data, error } = await supabaseClient
+    .from("lesson_progress")
+    .select("course_slug, lesson_slug")
+    .eq("user_id", userId)
+    .eq("completed", true)
+    .in("course_slug", courseSlugs);
+
+  if (error) {
+    console.error("[progress] Failed to read course progress", error);
+    return {};
+  }
+
+  return (data || []).reduce((byCourse, row) => {
+    (byCourse[row.course_slug] = byCourse[row.course_slug] || new Set()).add(row.lesson_slug);
+    return byCourse;
+  }, {});
+}
+
+/**
+ * Summarise completion for one course
+ * Only lessons in the manifest count, so removed lessons don't inflate the total
+ * @returns {{completed: number, total: number, percent: number, label: string}|null}
+ */
+function getCourseCompletion(lessons, completedSlugs) {
+  if (!lessons || lessons.length === 0) return null;
+
+  const total = lessons.length;
+  const completed = lessons.filter((lesson) => completedSlugs?.has(lesson.lesson_slug)).length;
+  const percent = Math.round((completed / total) * 100);
+
+  return {
+    completed,
+    total,
+    percent,
+    label: `${completed} of ${total} lesson${total !== 1 ? "s" : ""} (${percent}%)`,
+  };
+}
+
+/**
+ * Load completion summaries for several courses at once (account page)
+ * Courses without a manifest are left out
+ */
+async function getCourseCompletions(userId, courseSlugs) {
+  if (courseSlugs.length === 0) return {};
+
+  const [manifests, completedByCourse] = await Promise.all([
+    getCourseManifests(courseSlugs),
+    getCompletedLessonsByCourse(userId, courseSlugs),
+  ]);
+
+  return courseSlugs.reduce((summaries, slug) => {
+    const summary = getCourseCompletion(manifests[slug], completedByCourse[slug]);
+    if (summary) summaries[slug] = summary;
+    return summaries;
+  }, {});
+}
+
+/**
+ * Progress fields for templates (progress_width works with data-field-style="width")
+ */
+function getProgressDisplayData(summary) {
+  return {
+    has_progress: !!summary,
+    progress_percent: summary ? summary.percent : "",
+    progress_width: summary ? `${summary.percent}%` : "",
+    progress_label: summary ? summary.label : "",
+    lessons_completed: summary ? summary.completed : "",
+    lessons_total: summary ? summary.total : "",
+  };
+}
+
+/**
+ * Built-in progress bar markup
+ */
+function buildProgressBarHtml(summary) {
+  if (!summary) return "";
+  return `
+    <div class="course-progress">
+      <div class="course-progress__bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${summary.percent}"
+           style="background:#eee;border-radius:4px;height:8px;overflow:hidden">
+        <div class="course-progress__fill" style="width:${summary.percent}%;height:100%;background:currentColor"></div>
+      </div>
+      <span class="course-progress__label" style="font-size:0.9em">${escapeHtml(summary.label)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Fill a [data-course-progress] element
+ * Uses designer-placed [data-progress-bar] / [data-progress-text] children if present
+ */
+function renderProgressInto(el, summary) {
+  el.setAttribute("data-progress-percent", summary ? String(summary.percent) : "");
+
+  const bar = el.querySelector("[data-progress-bar]");
+  const text = el.querySelector("[data-progress-text]");
+
+  if (!bar && !text) {
+    el.innerHTML = buildProgressBarHtml(summary);
+    return;
+  }
+
+  if (bar) {
+    bar.style.width = summary ? `${summary.percent}%` : "0%";
+    bar.setAttribute("role", "progressbar");
+    bar.setAttribute("aria-valuenow", summary ? String(summary.percent) : "0");
+  }
+  if (text) text.textContent = summary ? summary.label : "";
+}
+
+/**
+ * Render course progress bars and mark completed lessons in the CMS list
+ * Runs on any page with [data-course-progress] or [data-course-lesson] elements
+ */
+async function renderCourseProgress() {
+  const progressEls = document.querySelectorAll("[data-course-progress]");
+  const lessonEls = document.querySelectorAll("[data-course-lesson]");
+  if (progressEls.length === 0 && lessonEls.length === 0) return;
+
+  const session = await getSessionOrNull();
+  if (!session) return;
+
+  const pageCourseSlug = getCourseSlugFromDom();
+  const courseSlugs = [
+    ...new Set(
+      [
+        ...[...progressEls].map((el) => el.getAttribute("data-course-progress") || pageCourseSlug),
+        ...[...lessonEls].map((el) => el.getAttribute("data-course-slug") || pageCourseSlug),
+      ].filter(Boolean)
+    ),
+  ];
+  if (courseSlugs.length === 0) return;
+
+  const [manifests, completedByCourse] = await Promise.all([
+    getCourseManifests(courseSlugs),
+    getCompletedLessonsByCourse(session.user.id, courseSlugs),
+  ]);
+
+  progressEls.forEach((el) => {
+    const slug = el.getAttribute("data-course-progress") || pageCourseSlug;
+    renderProgressInto(el, getCourseCompletion(manifests[slug], completedByCourse[slug]));
+  });
+
+  lessonEls.forEach((el) => {
+    const slug = el.getAttribute("data-course-slug") || pageCourseSlug;
+    el.classList.toggle("is-completed", !!completedByCourse[slug]?.has(el.getAttribute("data-course-lesson")));
+  });
+
+  if (hasDebugFlag()) console.log("[progress] Rendered course progress for", courseSlugs.join(", "));
+}
+
+// --------------------
+// LESSON NAVIGATION & RESUME
+// --------------------
+// Lesson order comes from the course manifest (see above).
+// - #prevLessonBtn / #nextLessonBtn     → links to the neighbouring lessons (hidden at either end)
+// - #completeAndNextBtn                 → marks the lesson complete, then goes to the next one
+// - [data-resume-course="course-slug"]  → most recently viewed unfinished lesson of that course
+
+/**
+ * Build a lesson URL from CONFIG.urlPatterns.lesson
+ */
+function getLessonUrl(lessonSlug) {
+  return (
+    buildUrlFromPattern("lesson", { lesson_slug: lessonSlug }) ||
+    `/lessons/${encodeURIComponent(lessonSlug)}`
+  );
+}
+
+/**
+ * Find the lessons before and after the given one in the course manifest
+ * @returns {Promise<{prev: object|null, next: object|null}>}
+ */
+async function getAdjacentLessons(courseSlug, lessonSlug) {
+  const manifests = await getCourseManifests([courseSlug]);
+  const lessons = manifests[courseSlug] || [];
+  const index = lessons.findIndex((lesson) => lesson.lesson_slug === lessonSlug);
+
+  if (index === -1) return { prev: null, next: null };
+  return {
+    prev: lessons[index - 1] || null,
+    next: lessons[index + 1] || null,
+  };
+}
+
+/**
+ * Wire #prevLessonBtn, #nextLessonBtn and #completeAndNextBtn on lesson pages
+ */
+async function initLessonNavigation() {
+  const prevBtn = document.getElementById("prevLessonBtn");
+  const nextBtn = document.getElementById("nextLessonBtn");
+  const completeAndNextBtn = document.getElementById("completeAndNextBtn");
+  if (!prevBtn && !nextBtn && !completeAndNextBtn) return;
+
+  const courseSlug = readText("courseSlug");
+  const lessonSlug = readText("lessonSlug");
+  if (!courseSlug || !lessonSlug) return;
+
+  const { prev, next } = await getAdjacentLessons(courseSlug, lessonSlug);
+
+  const wire = (btn, lesson) => {
+    if (!btn) return;
+    if (!lesson) {
+      btn.style.display = "none";
+      return;
+    }
+    const url = getLessonUrl(lesson.lesson_slug);
+    if (btn.tagName === "A") btn.setAttribute("href", url);
+    if (lesson.title) btn.setAttribute("title", lesson.title);
+    btn.addEventListener("click", (e) => {
+      e.preventDefault();
+      window.location.href = url;
+    });
+  };
+  wire(prevBtn, prev);
+  wire(nextBtn, next);
+
+  if (completeAndNextBtn) {
+    // Last lesson: finish and go back to the course page
+    const nextUrl = next
+      ? getLessonUrl(next.lesson_slug)
+      : buildUrlFromPattern("course", { course_slug: courseSlug });
+
+    completeAndNextBtn.addEventListener("click", async (e) => {
+      e.preventDefault();
+      const saved = await markLessonComplete();
+      if (saved && nextUrl) window.location.href = nextUrl;
+    });
+  }
+
+  if (hasDebugFlag()) {
+    console.log("[progress] Lesson navigation:", { prev: prev?.lesson_slug, next: next?.lesson_slug });
+  }
+}
+
+/**
+ * Work out where a learner should pick a course back up
+ * 1. Most recently viewed lesson that isn't completed
+ * 2. First unfinished lesson in course order
+ * 3. The course page
+ */
+async function getResumeUrl(userId, courseSlug) {
+  const courseUrl = buildUrlFromPattern("course", { course_slug: courseSlug });
+
+  const { data, error } = await supabaseClient
+    .from("lesson_progress")
+    .select("lesson_slug, completed, last_viewed_at")
+    .eq("user_id", userId)
+    .eq("course_slug", courseSlug)
+    .order("last_viewed_at", { ascending: false });
+
+  if (error) {
+    console.error("[progress] Could not load progress for resume", error);
+    return courseUrl;
+  }
+
+  const lastUnfinished = (data || []).find((row) => !row.completed);
+  if (lastUnfinished) return getLessonUrl(lastUnfinished.lesson_slug);
+
+  const completed = new Set((data || []).filter((row) => row.completed).map((row) => row.lesson_slug));
+  const manifests = await getCourseManifests([courseSlug]);
+  const firstUnfinished = (manifests[courseSlug] || []).find((lesson) => !completed.has(lesson.lesson_slug));
+
+  return firstUnfinished ? getLessonUrl(firstUnfinished.lesson_slug) : courseUrl;
+}
+
+/**
+ * Wire [data-resume-course] buttons (course pages, account page, dashboards)
+ */
+async function initResumeButtons() {
+  const buttons = document.querySelectorAll("[data-resume-course]");
+  if (buttons.length === 0) return;
+
+  buttons.forEach((btn) => {
+    btn.addEventListener("click", async (e) => {
+      e.preventDefault();
+      const courseSlug = btn.getAttribute("data-resume-course") || getCourseSlugFromDom();
+      if (!courseSlug) return;
+
+      const session = await getSessionOrNull();
+      if (!session) {
+        window.location.href = CONFIG.redirects.loginPage;
+        return;
+      }
+
+      const url = await getResumeUrl(session.user.id, courseSlug);
+      if (hasDebugFlag()) console.log(`[progress] Resuming ${courseSlug} at`, url);
+      if (url) window.location.href = url;
+    });
+  });
+
+  if (hasDebugFlag()) console.log(`[progress] ${buttons.length} resume button(s) attached`);
+}
+
+// --------------------
+// LESSON QUIZZES
+// --------------------
+// <form data-quiz="quiz-slug"> authored in Webflow. Each question is a group of
+// inputs sharing a name (the question key): radios, checkboxes or a text field.
+// Wrap a question in [data-quiz-question="<key>"] to get .is-correct / .is-incorrect
+// after grading. Answers are graded by the submit_quiz_attempt RPC against
+// quiz_answers, so the correct answers never reach the page. The pass mark is per
+// quiz (quizzes.pass_mark), and markLessonComplete is blocked until it's reached.
+// The database enforces the same gate (16-quiz-completion-gate.sql) and limits
+// attempts per hour; which questions were wrong is only revealed once passed.
+
+const passedQuizzes = new Set();
+let passedQuizzesLoaded = Promise.resolve(); // Set by initLessonProgressUI
+
+/**
+ * Quiz slugs on this page the learner hasn't passed yet
+ */
+function getUnpassedQuizzes() {
+  return [...document.querySelectorAll("form[data-quiz]")]
+    .map((form) => form.getAttribute("data-quiz"))
+    .filter((slug) => slug && !passedQuizzes.has(slug));
+}
+
+/**
+ * Read answers from the form: { question_key: "value" | ["value", ...] }
+ */
+function readQuizAnswers(form) {
+  const answers = {};
+  const formData = new FormData(form);
+
+  [...new Set([...formData.keys()])].forEach((key) => {
+    const isCheckbox = form.querySelector(`input[type="checkbox"][name="${CSS.escape(key)}"]`);
+    const values = formData.getAll(key).map(String);
+    answers[key] = isCheckbox ? values : values[0];
+  });
+
+  return answers;
+}
+
+// Messages go to [data-feedback-for="<form id>"], or "quiz-<slug>" if the form has no id
+function getQuizFeedbackTarget(form) {
+  return form.id || `quiz-${form.getAttribute("data-quiz")}`;
+}
+
+function formatQuizScore(result) {
+  return `${result.correct_count}/${result.question_count} (${Math.round(result.score * 100)}%)`;
+}
+
+/**
+ * Show which questions were right or wrong on [data-quiz-question] wrappers
+ * @param {string[]|null} incorrectKeys - null clears the marks (failed attempts don't say which)
+ */
+function markQuizQuestions(form, incorrectKeys) {
+  form.querySelectorAll("[data-quiz-question]").forEach((el) => {
+    const incorrect = !!incorrectKeys?.includes(el.getAttribute("data-quiz-question"));
+    el.classList.toggle("is-incorrect", !!incorrectKeys && incorrect);
+    el.classList.toggle("is-correct", !!incorrectKeys && !incorrect);
+  });
+}
+
+/**
+ * Wire every form[data-quiz] on a lesson page
+ */
+async function initQuizzes() {
+  const forms = document.querySelectorAll("form[data-quiz]");
+  if (forms.length === 0) return;
+
+  const session = await getSessionOrNull();
+
+  // Already passed? Then completion isn't blocked on this visit
+  if (session) {
+    const { data, error } = await supabaseClient
+      .from("quiz_attempts")
+      .select("quiz_slug, correct_count, question_count, score")
+      .eq("user_id", session.user.id)
+      .eq("passed", true)
+      .is("reset_at", null)
+      .in("quiz_slug", [...forms].map((form) => form.getAttribute("data-quiz")));
+
+    if (error) {
+      console.error("[quiz] Could not load attempts", error);
+    } else {
+      (data || []).forEach((attempt) => passedQuizzes.add(attempt.quiz_slug));
+    }
+
+    forms.forEach((form) => {
+      const passed = (data || []).find((attempt) => attempt.quiz_slug === form.getAttribute("data-quiz"));
+      if (passed) {
+        form.setAttribute("data-quiz-passed", "true");
+        showFeedback(`You passed this quiz with ${formatQuizScore(passed)}.`, false, getQuizFeedbackTarget(form));
+      }
+    });
+  }
+
+  forms.forEach((form) => {
+    const quizSlug = form.getAttribute("data-quiz");
+    const targetId = getQuizFeedbackTarget(form);
+
+    form.addEventListener(
+      "submit",
+      async (e) => {
+        e.preventDefault();
+        e.stopPropagation(); // Prevents Webflow's handler from running
+
+        const current = await getSessionOrNull();
+        if (!current) {
+          showFeedback("Please log in to take the quiz", true, targetId);
+          return;
+        }
+
+        showLoading(targetId, "Checking your answers...");
+
+        const { data, error } = await supabaseClient.rpc("submit_quiz_attempt", {
+          p_quiz_slug: quizSlug,
+          p_answers: readQuizAnswers(form),
+        });
+        const result = Array.isArray(data) ? data[0] : data;
+
+        if (error || !result) {
+          console.error("[quiz] Submit failed", error);
+          showFeedback(getFriendlyErrorMessage(error || new Error("Could not submit quiz")), true, targetId);
+          return;
+        }
+
+        markQuizQuestions(form, result.incorrect_questions);
+        if (hasDebugFlag()) console.log(`[quiz] ${quizSlug}: ${formatQuizScore(result)}, passed: ${result.passed}`);
+
+        if (!result.passed) {
+          showFeedback(
+            `You scored ${formatQuizScore(result)}. You need ${Math.round(result.pass_mark * 100)}% to pass - try again.`,
+            true,
+            targetId
+          );
+          return;
+        }
+
+        passedQuizzes.add(quizSlug);
+        form.setAttribute("data-quiz-passed", "true");
+        showFeedback(`You passed with ${formatQuizScore(result)}!`, false, targetId);
+
+        // All quizzes on the lesson passed - complete it
+        if (getUnpassedQuizzes().length === 0) await markLessonComplete();
+      },
+      true
+    ); // Use capturing phase to intercept before Webflow
+  });
+
+  if (hasDebugFlag()) console.log(`[quiz] ${forms.length} quiz form(s) attached`);
+}
+
+// --------------------
+// VIDEO-DRIVEN COMPLETION
+// --------------------
+// [data-progress-video] on a <video>, a Vimeo/YouTube <iframe>, or a wrapper around one.
+// - Watch position is saved to lesson_progress.video_position and restored on the next visit
+// - Once CONFIG.video.completeThreshold of the video has been watched the lesson is
+//   marked complete via markLessonComplete. Only time actually played counts: jumps
+//   from seeking are ignored, and re-watching the same part doesn't add up.
+// Optional per-video threshold: data-progress-video="0.75"
+
+const VIDEO_MAX_STEP_SECONDS = 3; // Larger jumps between updates are seeks, not playback
+const VIDEO_WATCHED_STORAGE_KEY = "sb_video_watched";
+const loadedScripts = {};
+
+/**
+ * Load an external script once (player APIs)
+ */
+function loadScriptOnce(src) {
+  if (!loadedScripts[src]) {
+    loadedScripts[src] = new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = src;
+      script.async = true;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error(`Could not load ${src}`));
+      document.head.appendChild(script);
+    });
+  }
+  return loadedScripts[src];
+}
+
+/**
+ * Add a played [start, end] range to a sorted list of ranges, merging overlaps
+ */
+function addWatchedRange(ranges, start, end) {
+  const merged = [];
+
+  [...ranges, [start, end]].sort((a, b) => a[0] - b[0]).forEach((range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([range[0], range[1]]);
+  });
+
+  return merged;
+}
+
+/**
+ * Watched ranges survive reloads so resuming mid-video still reaches the threshold
+ */
+function readWatchedRanges(key) {
+  try {
+    return JSON.parse(localStorage.getItem(`${VIDEO_WATCHED_STORAGE_KEY}:${key}`) || "[]");
+  } catch {
+    return [];
+  }
+}
+
+function writeWatchedRanges(key, ranges) {
+  try {
+    localStorage.setItem(`${VIDEO_WATCHED_STORAGE_KEY}:${key}`, JSON.stringify(ranges));
+  } catch {
+    // Not persisted - progress still counts for this visit
+  }
+}
+
+/**
+ * Player-independent tracking: adapters report time updates, seeks and pauses
+ */
+function createVideoTracker({ session, lessonSlug, threshold, resumePosition, alreadyCompleted }) {
+  const storageKey = `${session.user.id}:${lessonSlug}`;
+  const saveEvery = (CONFIG.video?.savePositionEverySeconds || 15) * 1000;
+  let ranges = readWatchedRanges(storageKey);
+  let lastTime = null;
+  let lastSavedAt = Date.now();
+  let position = resumePosition || 0;
+  let completed = alreadyCompleted;
+  let positionSave = Promise.resolve();
+
+  const savePosition = (seconds) => {
+    lastSavedAt = Date.now();
+    const nowIso = new Date().toISOString();
+    // Through the offline queue, so a save on pagehide isn't lost
+    positionSave = saveProgressWrite({
+      user_id: session.user.id,
+      course_slug: readText("courseSlug"),
+      module_slug: readText("moduleSlug") || "",
+      lesson_slug: lessonSlug,
+      video_position: Math.floor(seconds),
+      last_viewed_at: nowIso,
+      updated_at: nowIso,
+    });
+  };
+
+  const tracker = {
+    resumePosition,
+
+    onTime(seconds, duration) {
+      if (lastTime !== null) {
+        const step = seconds - lastTime;
+        if (step > 0 && step <= VIDEO_MAX_STEP_SECONDS) {
+          ranges = addWatchedRange(ranges, lastTime, seconds);
+          writeWatchedRanges(storageKey, ranges);
+        }
+      }
+      lastTime = seconds;
+      position = seconds;
+
+      if (Date.now() - lastSavedAt >= saveEvery) savePosition(seconds);
+
+      if (!completed && duration > 0) {
+        const watched = ranges.reduce((total, [start, end]) => total + (end - start), 0);
+        if (watched / duration >= threshold) {
+          completed = true;
+          if (hasDebugFlag()) console.log(`[progress] Watched ${Math.round((watched / duration) * 100)}%, completing`);
+          // Let a position save from this same tick settle first, so the completion
+          // isn't reported against a write that is still in flight
+          positionSave.then(() => markLessonComplete());
+        }
+      }
+    },
+
+    // After a seek the next update starts a new range instead of bridging the jump
+    onSeek() {
+      lastTime = null;
+    },
+
+    onPause() {
+      lastTime = null;
+      savePosition(position);
+    },
+
+    // Finished videos start from the beginning next time
+    onEnded() {
+      lastTime = null;
+      position = 0;
+      savePosition(0);
+    },
+
+    onLeave() {
+      if (position > 0) savePosition(position);
+    },
+  };
+
+  return tracker;
+}
+
+function attachHtml5Video(video, tracker) {
+  const resume = () => {
+    if (tracker.resumePosition && tracker.resumePosition < video.duration - 5) {
+      video.currentTime = tracker.resumePosition;
+    }
+  };
+  if (video.readyState >= 1) resume();
+  else video.addEventListener("loadedmetadata", resume, { once: true });
+
+  video.addEventListener("timeupdate", () => {
+    if (!video.seeking) tracker.onTime(video.currentTime, video.duration);
+  });
+  video.addEventListener("seeking", () => tracker.onSeek());
+  video.addEventListener("pause", () => tracker.onPause());
+  video.addEventListener("ended", () => tracker.onEnded());
+}
+
+async function attachVimeoPlayer(iframe, tracker) {
+  await loadScriptOnce("https://player.vimeo.com/api/player.js");
+  const player = new window.Vimeo.Player(iframe);
+
+  if (tracker.resumePosition) {
+    const duration = await player.getDuration();
+    if (tracker.resumePosition < duration - 5) await player.setCurrentTime(tracker.resumePosition);
+  }
+
+  player.on("timeupdate", ({ seconds, duration }) => tracker.onTime(seconds, duration));
+  player.on("seeked", () => tracker.onSeek());
+  player.on("pause", () => tracker.onPause());
+  player.on("ended", () => tracker.onEnded());
+}
+
+async function attachYouTubePlayer(iframe, tracker) {
+  // The iframe API only talks to embeds loaded with enablejsapi=1
+  const src = new URL(iframe.src);
+  if (src.searchParams.get("enablejsapi") !== "1") {
+    src.searchParams.set("enablejsapi", "1");
+    src.searchParams.set("origin", window.location.origin);
+    iframe.src = src.toString();
+  }
+
+  if (!window.YT?.Player) {
+    await new Promise((resolve) => {
+      const previous = window.onYouTubeIframeAPIReady;
+      window.onYouTubeIframeAPIReady = () => {
+        if (typeof previous === "function") previous();
+        resolve();
+      };
+      loadScriptOnce("https://www.youtube.com/iframe_api");
+    });
+  }
+
+  // YouTube has no timeupdate event - poll while playing
+  let pollTimer = null;
+  const player = new window.YT.Player(iframe, {
+    events: {
+      onReady: () => {
+        if (tracker.resumePosition && tracker.resumePosition < player.getDuration() - 5) {
+          player.seekTo(tracker.resumePosition, true);
+          player.pauseVideo();
+        }
+      },
+      onStateChange: ({ data: state }) => {
+        clearInterval(pollTimer);
+        if (state === window.YT.PlayerState.PLAYING) {
+          tracker.onSeek(); // Playback may have resumed somewhere else
+          pollTimer = setInterval(() => tracker.onTime(player.getCurrentTime(), player.getDuration()), 1000);
+        } else if (state === window.YT.PlayerState.PAUSED) {
+          tracker.onPause();
+        } else if (state === window.YT.PlayerState.ENDED) {
+          tracker.onEnded();
+        }
+      },
+    },
+  });
+}
+
+/**
+ * Attach completion tracking to every [data-progress-video] on a lesson page
+ */
+async function initProgressVideos() {
+  const hooks = document.querySelectorAll("[data-progress-video]");
+  if (hooks.length === 0) return;
+
+  const session = await getSessionOrNull();
+  const lessonSlug = readText("lessonSlug");
+  if (!session || !lessonSlug) return;
+
+  const { data } = await supabaseClient
+    .from("lesson_progress")
+    .select("completed, video_position")
+    .eq("user_id", session.user.id)
+    .eq("lesson_slug", lessonSlug)
+    .maybeSingle();
+
+  // A position saved offline is newer than the server copy
+  const pending = getPendingProgressWrite(session.user.id, lessonSlug, true);
+  const resumePosition = pending?.video_position ?? data?.video_position ?? 0;
+
+  hooks.forEach((hook) => {
+    const media = hook.matches("video, iframe") ? hook : hook.querySelector("video, iframe");
+    if (!media) {
+      console.warn("[progress] [data-progress-video] has no <video> or <iframe>", hook);
+      return;
+    }
+
+    const threshold =
+      parseFloat(hook.getAttribute("data-progress-video")) || CONFIG.video?.completeThreshold || 0.9;
+    const tracker = createVideoTracker({
+      session,
+      lessonSlug,
+      threshold,
+      resumePosition,
+      alreadyCompleted: !!data?.completed,
+    });
+    window.addEventListener("pagehide", () => tracker.onLeave());
+
+    const src = media.getAttribute("src") || "";
+    let attached;
+    if (media.tagName === "VIDEO") {
+      attachHtml5Video(media, tracker);
+      attached = Promise.resolve();
+    } else if (src.includes("vimeo.com")) {
+      attached = attachVimeoPlayer(media, tracker);
+    } else if (/youtube(-nocookie)?\.com/.test(src)) {
+      attached = attachYouTubePlayer(media, tracker);
+    } else {
+      console.warn("[progress] Unsupported video embed:", src);
+      return;
+    }
+
+    attached
+      .then(() => {
+        if (hasDebugFlag()) console.log(`[progress] Tracking video (threshold ${threshold}, resume at ${resumePosition}s)`);
+      })
+      .catch((error) => console.error("[progress] Could not attach video player", error));
+  });
+}
+
+// ============================================================================
+// 7. PROFILES DIRECTORY (PEOPLE PAGE)
+// ============================================================================
+
+/**
+ * Initialize profiles directory page
+ * Shows all profiles with view/edit permissions demo
+ * Only own profile can be edited
+ * Respects data-protected attribute:
+ * - With data-protected: requires login, full features
+ * - Without data-protected: public view, edit only if logged in
+ */
+async function initProfilesDirectory() {
+  // Only run on /people page (the profile detail route has its own init)
+  if (!window.location.pathname.startsWith("/people") || readProfileIdFromUrl() !== null) {
+    return;
+  }
+
+  if (hasDebugFlag()) console.log("[directory] Initializing profiles directory");
+
+  // Check if page has data-protected attribute
+  const protectedEl = document.querySelector("[data-protected]");
+  const isProtected = protectedEl !== null;
+
+  // Get current session (don't force redirect yet)
+  const { data: { session } } = await supabaseClient.auth.getSession();
+  const currentUserId = session?.user?.id || null;
+
+  // If page is protected and no session, redirect to login
+  if (isProtected && !session) {
+    if (hasDebugFlag()) console.log("[directory] Page is protected, redirecting to login");
+    window.location.href = CONFIG.redirects.loginPage;
+    return;
+  }
+
+  if (hasDebugFlag()) {
+    console.log("[directory] Mode:", isProtected ? "protected" : "public");
+    console.log("[directory] User:", session ? "logged in" : "anonymous");
+  }
+
+  // Get DOM elements
+  const listEl = document.getElementById("profilesList");
+  const emptyEl = document.getElementById("profilesEmpty");
+  const errorEl = document.getElementById("profilesError");
+  const loadingEl = document.getElementById("profilesLoading");
+
+  // Add auth button at the top of the list
+  const authButtonHtml = session
+    ? `<div style="text-align: right; margin-bottom: 1rem;">
+         <span style="margin-right: 1rem; color: #666;">Logged in as ${session.user.email}</span>
+         <button id="logoutBtnDirectory" style="padding: 0.5rem 1rem; background: #dc2626; color: white; border: none; border-radius: 6px; cursor: pointer;">
+           Logout
+         </button>
+       </div>`
+    : `<div style="text-align: right; margin-bottom: 1rem;">
+         <button id="loginBtnDirectory" style="padding: 0.5rem 1rem; background: #4299e1; color: white; border: none; border-radius: 6px; cursor: pointer;">
+           Login to Edit Profiles
+         </button>
+       </div>`;
+
+  if (!listEl) {
+    console.warn("[directory] #profilesList element not found on /people page");
+    return;
+  }
+
+  // Show loading state
+  if (loadingEl) loadingEl.style.display = "";
+
+  // For public view without auth, don't show edit buttons at all
+  const showEditButton = session !== null;
+
+  // Search, filters and paging - state lives in the URL (?q=&role=&company=&location=)
+  const pageSize = CONFIG.directory?.pageSize || 24;
+  const searchInput = document.getElementById("profilesSearch");
+  const filterEls = [...document.querySelectorAll("[data-profile-filter]")];
+  const loadMoreBtn = document.getElementById("profilesLoadMore");
+  const directoryQuery = readDirectoryQueryFromUrl();
+  let profiles = [];
+  let totalCount = 0;
+  let latestRequest = 0; // Responses from superseded searches are ignored
+  let ownExtraPrivate = {}; // The RPC never returns private fields, so read our own via RLS
+
+  try {
+    if (searchInput) searchInput.value = directoryQuery.q;
+    await initDirectoryFilters(filterEls, directoryQuery);
+
+    if (currentUserId) {
+      const { data: own, error: ownError } = await supabaseClient
+        .from("profiles")
+        .select("extra_private")
+        .eq("id", currentUserId)
+        .maybeSingle();
+      if (ownError) console.warn("[directory] Could not load private profile fields:", ownError);
+      ownExtraPrivate = own?.extra_private || {};
+    }
+
+    // Fetch the first page using the public search RPC (works for everyone)
+    if (hasDebugFlag()) console.log("[directory] Fetching profiles via search RPC", directoryQuery);
+    const loaded = await loadProfilesPage({ append: false });
+    if (!loaded) return;
+
+    // Re-run the search as the visitor types or changes a filter
+    let searchTimer = null;
+    searchInput?.addEventListener("input", () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        directoryQuery.q = searchInput.value.trim();
+        applyDirectoryQuery();
+      }, 300);
+    });
+
+    filterEls.forEach((el) => {
+      el.addEventListener("change", () => {
+        directoryQuery[el.getAttribute("data-profile-filter")] = el.value.trim();
+        applyDirectoryQuery();
+      });
+    });
+
+    // "Load more" button, or infinite scroll when it has data-infinite-scroll
+    const loadMore = () =>
+      loadProfilesPage({ append: true }).catch((error) => {
+        console.error("[directory] Load more failed:", error);
+        showFeedback(getFriendlyErrorMessage(error), true, "profilesLoadMore");
+      });
+    loadMoreBtn?.addEventListener("click", (e) => {
+      e.preventDefault();
+      loadMore();
+    });
+    if (loadMoreBtn?.hasAttribute("data-infinite-scroll") && "IntersectionObserver" in window) {
+      new IntersectionObserver((entries) => {
+        if (entries[0].isIntersecting && !loadMoreBtn.disabled && profiles.length < totalCount) loadMore();
+      }).observe(loadMoreBtn);
+    }
+
+    /**
+     * Fetch one page from search_profile_cards_public and render it
+     * @returns {Promise<boolean>} false if the request failed or was superseded
+     */
+    async function loadProfilesPage({ append }) {
+      const requestId = ++latestRequest;
+      const offset = append ? profiles.length : 0;
+
+      if (loadingEl) loadingEl.style.display = "";
+      if (loadMoreBtn) loadMoreBtn.disabled = true;
+
+      const { data, error } = await supabaseClient.rpc("search_profile_cards_public", {
+        p_search: directoryQuery.q || null,
+        p_role: directoryQuery.role || null,
+        p_company: directoryQuery.company || null,
+        p_location: directoryQuery.location || null,
+        p_limit: pageSize,
+        p_offset: offset,
+      });
+
+      if (requestId !== latestRequest) return false;
+      if (loadingEl) loadingEl.style.display = "none";
+      if (loadMoreBtn) loadMoreBtn.disabled = false;
+
+      if (error) {
+        console.error("[directory] Failed to load profiles:", error);
+        throw error;
+      }
+
+      const page = (data || []).map((profile) =>
+        profile.id === currentUserId ? { ...profile, extra_private: ownExtraPrivate } : profile
+      );
+      totalCount = page.length > 0 ? Number(page[0].total_count) : append ? totalCount : 0;
+      profiles = append ? profiles.concat(page) : page;
+
+      renderProfiles(page, append);
+      if (loadMoreBtn) loadMoreBtn.style.display = profiles.length < totalCount ? "" : "none";
+
+      if (hasDebugFlag()) console.log(`[directory] Loaded ${profiles.length} of ${totalCount} profiles`);
+      return true;
+    }
+
+    /**
+     * Push the query into the URL (shareable, survives reload) and reload page 1
+     */
+    function applyDirectoryQuery() {
+      const url = new URL(window.location.href);
+      ["q", "role", "company", "location"].forEach((key) => {
+        if (directoryQuery[key]) url.searchParams.set(key, directoryQuery[key]);
+        else url.searchParams.delete(key);
+      });
+      window.history.replaceState(null, "", url.toString());
+
+      loadProfilesPage({ append: false }).catch((error) => {
+        console.error("[directory] Search failed:", error);
+        showFeedback(getFriendlyErrorMessage(error), true, "profilesSearch");
+      });
+    }
+
+    /**
+     * Render a page of cards (replacing the list, or appended for "load more")
+     */
+    function renderProfiles(page, append) {
+      if (!append && page.length === 0) {
+        // Show empty state
+        listEl.innerHTML = authButtonHtml;
+        if (emptyEl) {
+          emptyEl.style.display = "";
+          emptyEl.textContent = hasDirectoryQuery(directoryQuery)
+            ? "No profiles match your search."
+            : "No profiles found yet.";
+        }
+        return;
+      }
+
+      // Hide empty state and error
+      if (emptyEl) emptyEl.style.display = "none";
+      if (errorEl) errorEl.style.display = "none";
+
+      // Clear any placeholder content and render with auth button
+      // Cards come from #profile-card-template when the designer provides one
+      if (!append) listEl.innerHTML = authButtonHtml;
+      if (getTemplate("profile-card-template")) {
+        page.forEach((profile) => listEl.appendChild(buildProfileCardFromTemplate(profile)));
+      } else {
+        listEl.insertAdjacentHTML("beforeend", page.map(buildProfileCardHtml).join(""));
+      }
+    }
+
+    /**
+     * Render a card from #profile-card-template
+     * Buttons use the same data-action values as the built-in markup;
+     * [data-details] is the expandable section, [data-slot="edit"] holds the edit form
+     */
+    function buildProfileCardFromTemplate(profile) {
+      const isMe = profile.id === currentUserId;
+      const card = renderTemplate("profile-card-template", getProfileCardData(profile, currentUserId));
+      card.setAttribute("data-profile-id", profile.id);
+
+      card.querySelectorAll("[data-action]").forEach((btn) => {
+        const action = btn.getAttribute("data-action");
+        if (action === "edit") {
+          if (!showEditButton) {
+            btn.remove();
+            return;
+          }
+          if (!isMe) {
+            btn.disabled = true;
+            btn.title = "You can only edit your own profile";
+            return;
+          }
+        }
+        btn.setAttribute("data-profile-id", profile.id);
+      });
+
+      const detailsEl = card.querySelector("[data-details]");
+      if (detailsEl) {
+        detailsEl.id = `details-${profile.id}`;
+        detailsEl.style.display = "none";
+      }
+
+      if (isMe && showEditButton) {
+        const editSlot = card.querySelector('[data-slot="edit"]') || card;
+        editSlot.insertAdjacentHTML("beforeend", buildEditFormHtml(profile));
+      }
+
+      return card;
+    }
+
+    /**
+     * Built-in card markup (used when no template is on the page)
+     */
+    function buildProfileCardHtml(profile) {
+      const isMe = profile.id === currentUserId;
+      const displayName = (profile.full_name || "").trim() || "(name not set)";
+      const avatarUrl = profile.avatar_url || "";
+      const roleField = getProfileFields().find((field) => field.key === "role");
+      const role = roleField && (roleField.public || isMe) ? getProfileFieldValue(profile, roleField) : "";
+
+      return `
+        <div class="profile-card" data-profile-id="${profile.id}">
+          <div class="profile-card__row">
+            ${buildAvatarHtml(displayName, avatarUrl)}
+            <div class="profile-card__meta">
+              <a class="profile-card__name" href="${escapeAttr(getProfileUrl(profile.id))}" style="color: inherit; text-decoration: none;">${escapeHtml(displayName)}</a>
+              <div class="profile-card__role" style="color: #666; font-size: 0.875rem;${role ? "" : " display: none;"}">${escapeHtml(role)}</div>
+              ${isMe ? `<div class="profile-card__badge">You</div>` : ''}
+            </div>
+          </div>
+
+          <!-- Expanded details (hidden by default) -->
+          <div class="profile-card__details" id="details-${profile.id}" style="display: none; margin-top: 1rem; padding-top: 1rem; border-top: 1px solid rgba(0,0,0,0.1);">
+            ${buildProfileDetailsHtml(profile, currentUserId)}
+          </div>
+          <div class="profile-card__actions">
+            <button class="btn-view" data-action="view" data-profile-id="${profile.id}">
+              View Details
+            </button>
+            ${showEditButton
+              ? (isMe
+                ? `<button class="btn-edit" data-action="edit" data-profile-id="${profile.id}">
+                     Edit
+                   </button>`
+                : `<button class="btn-edit" data-action="edit" disabled title="You can only edit your own profile">
+                     Edit (Locked)
+                   </button>`)
+              : ''
+            }
+          </div>
+
+          <!-- Inline edit form (hidden by default, only for current user) -->
+          ${isMe && showEditButton ? buildEditFormHtml(profile) : ''}
+        </div>
+      `;
+    }
+
+    /**
+     * Inline edit form for the current user's card
+     */
+    function buildEditFormHtml(profile) {
+      return `
+        <div class="profile-card__edit" id="edit-form-${profile.id}" style="display: none; margin-top: 0.75rem;">
+          <div style="display: grid; gap: 0.75rem;">
+            <div>
+              <label style="display: block; margin-bottom: 0.25rem; font-size: 0.875rem;">Photo</label>
+              <input type="file" accept="image/*" data-avatar-input data-profile-id="${profile.id}" style="font-size: 0.875rem;" />
+            </div>
+            <div>
+              <label style="display: block; margin-bottom: 0.25rem; font-size: 0.875rem;">Full name</label>
+              <input type="text" id="edit-name-${profile.id}" value="${escapeAttr(profile.full_name || '')}"
+                     style="width: 100%; padding: 0.5rem; border: 1px solid rgba(0,0,0,0.12); border-radius: 6px;" />
+            </div>
+            ${getProfileFields()
+              .map((field) => buildProfileFieldInputHtml(field, getProfileFieldValue(profile, field), `edit-${field.key}-${profile.id}`))
+              .join("")}
+          </div>
+          <button class="btn-save" data-action="save" data-profile-id="${profile.id}" style="margin-top: 0.75rem;">
+            Save All Changes
+          </button>
+          <span class="save-status" id="save-status-${profile.id}" data-feedback-for="edit-form-${profile.id}" style="margin-left: 0.5rem; opacity: 0.8;"></span>
+        </div>
+      `;
+    }
+
+    // Attach event handlers using delegation (includes auth buttons)
+    listEl.addEventListener("click", handleDirectoryClick);
+    listEl.addEventListener("change", handleAvatarChange);
+
+    /**
+     * Upload a new avatar from the inline edit form and refresh the card
+     */
+    async function handleAvatarChange(e) {
+      const input = e.target.closest("[data-avatar-input]");
+      if (!input) return;
+
+      const profileId = input.getAttribute("data-profile-id");
+      if (profileId !== currentUserId) return;
+
+      const avatarUrl = await handleAvatarInput(input, profileId, `edit-form-${profileId}`);
+      if (!avatarUrl) return;
+
+      const savedProfile = profiles.find((p) => p.id === profileId);
+      if (savedProfile) savedProfile.avatar_url = avatarUrl;
+
+      const card = document.querySelector(`[data-profile-id="${profileId}"]`);
+      if (card && getTemplate("profile-card-template") && savedProfile) {
+        fillTemplateFields(card, getProfileCardData(savedProfile, currentUserId));
+      } else if (card) {
+        const avatarEl = card.querySelector(".profile-card__avatar");
+        const name = savedProfile?.full_name || "";
+        if (avatarEl) avatarEl.outerHTML = buildAvatarHtml(name, avatarUrl);
+      }
+    }
+
+    async function handleDirectoryClick(e) {
+      const button = e.target.closest("button");
+      if (!button) return;
+
+      // Handle auth buttons
+      if (button.id === "loginBtnDirectory") {
+        window.location.href = CONFIG.redirects.loginPage;
+        return;
+      }
+
+      if (button.id === "logoutBtnDirectory") {
+        await supabaseClient.auth.signOut();
+        window.location.reload();
+        return;
+      }
+
+      // Handle profile action buttons
+      const action = button.getAttribute("data-action");
+      const profileId = button.getAttribute("data-profile-id");
+
+      if (!profileId) return;
+
+      const isMe = profileId === currentUserId;
+
+      switch (action) {
+        case "view":
+          toggleProfileDetails(profileId);
+          break;
+
+        case "edit":
+          if (!isMe) {
+            showFeedback("You can only edit your own profile", true);
+            return;
+          }
+          toggleEditForm(profileId);
+          break;
+
+        case "save":
+          if (!isMe) return;
+          await saveProfileChanges(profileId);
+          break;
+      }
+    }
+
+    /**
+     * Toggle expanded profile details
+     */
+    function toggleProfileDetails(profileId) {
+      const detailsEl = document.getElementById(`details-${profileId}`);
+      const viewBtn = document.querySelector(`button[data-action="view"][data-profile-id="${profileId}"]`);
+
+      if (detailsEl) {
+        const isVisible = detailsEl.style.display !== "none";
+        detailsEl.style.display = isVisible ? "none" : "";
+
+        if (viewBtn) {
+          viewBtn.textContent = isVisible ? "View Details" : "Hide Details";
+        }
+      }
+    }
+
+    /**
+     * Toggle inline edit form visibility
+     */
+    function toggleEditForm(profileId, show = null) {
+      const editForm = document.getElementById(`edit-form-${profileId}`);
+      if (!editForm) return;
+
+      if (show === null) {
         // Toggle
         editForm.style.display = editForm.style.display === "none" ? "" : "none";
       } else {
@@ -996,408 +3625,2215 @@ async function initProfilesDirectory() {
       }
     }
 
-    /**
-     * Save profile changes
-     */
-    async function saveProfileChanges(profileId) {
-      const nameInput = document.getElementById(`edit-name-${profileId}`);
-      const bioInput = document.getElementById(`edit-bio-${profileId}`);
-      const roleInput = document.getElementById(`edit-role-${profileId}`);
-      const companyInput = document.getElementById(`edit-company-${profileId}`);
-      const locationInput = document.getElementById(`edit-location-${profileId}`);
-      const websiteInput = document.getElementById(`edit-website-${profileId}`);
-      const statusEl = document.getElementById(`save-status-${profileId}`);
+    /**
+     * Save profile changes
+     */
+    async function saveProfileChanges(profileId) {
+      const nameInput = document.getElementById(`edit-name-${profileId}`);
+      const editForm = document.getElementById(`edit-form-${profileId}`);
+      const feedbackTarget = `edit-form-${profileId}`;
+
+      if (!nameInput || !editForm) return;
+
+      const { values, errors } = readProfileFieldValues(editForm);
+      if (errors.length > 0) {
+        showFeedback(errors.join(". "), true, feedbackTarget);
+        return;
+      }
+
+      const currentProfile = profiles.find((p) => p.id === profileId);
+      const updates = {
+        full_name: nameInput.value.trim(),
+        ...buildProfileFieldUpdates(values, currentProfile),
+        updated_at: new Date().toISOString()
+      };
+
+      // Show saving state
+      showLoading(feedbackTarget, "Saving...");
+
+      try {
+        // Update profile using existing RLS
+        const { error } = await supabaseClient
+          .from("profiles")
+          .update(updates)
+          .eq("id", profileId);
+
+        if (error) throw error;
+
+        // Keep the in-memory profile current so re-renders use the saved values
+        const savedProfile = profiles.find((p) => p.id === profileId);
+        if (savedProfile) Object.assign(savedProfile, updates);
+
+        // Update UI
+        const card = document.querySelector(`[data-profile-id="${profileId}"]`);
+        if (card && getTemplate("profile-card-template") && savedProfile) {
+          // Templated cards re-fill their data-field hooks in place
+          fillTemplateFields(card, getProfileCardData(savedProfile, currentUserId));
+        } else if (card) {
+          const nameEl = card.querySelector(".profile-card__name");
+          if (nameEl) {
+            nameEl.textContent = updates.full_name || "(name not set)";
+          }
+
+          // Update role display
+          const roleDisplay = card.querySelector(".profile-card__role");
+          if (roleDisplay && "role" in updates) {
+            roleDisplay.textContent = updates.role || "";
+            roleDisplay.style.display = updates.role ? "" : "none";
+          }
+
+          // Re-render the details section with new data
+          const detailsEl = document.getElementById(`details-${profileId}`);
+          if (detailsEl && savedProfile) {
+            detailsEl.innerHTML = buildProfileDetailsHtml(savedProfile, currentUserId);
+          }
+        }
+
+        // Show success
+        showFeedback("Saved!", false, feedbackTarget);
+
+        // Hide form after short delay
+        setTimeout(() => {
+          toggleEditForm(profileId, false);
+          clearFeedback(feedbackTarget);
+        }, 1500);
+
+        if (hasDebugFlag()) console.log("[directory] Profile updated successfully");
+
+      } catch (error) {
+        console.error("[directory] Failed to save profile:", error);
+        showFeedback(getFriendlyErrorMessage(error), true, feedbackTarget);
+      }
+    }
+
+
+  } catch (error) {
+    // Hide loading
+    if (loadingEl) loadingEl.style.display = "none";
+
+    // Show error
+    console.error("[directory] Failed to initialize:", error);
+    if (errorEl) {
+      errorEl.style.display = "";
+      errorEl.textContent = error.message || "Failed to load profiles directory";
+    }
+    showFeedback("Failed to load profiles directory", true);
+  }
+}
+
+/**
+ * Directory search state from the URL (?q=&role=&company=&location=)
+ */
+function readDirectoryQueryFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    q: params.get("q") || "",
+    role: params.get("role") || "",
+    company: params.get("company") || "",
+    location: params.get("location") || "",
+  };
+}
+
+function hasDirectoryQuery(query) {
+  return Object.values(query).some(Boolean);
+}
+
+/**
+ * Prefill [data-profile-filter="role|company|location"] controls from the URL
+ * <select> filters get their options from list_profile_facets_public
+ * (the first option is kept as the "All" choice)
+ */
+async function initDirectoryFilters(filterEls, query) {
+  const selects = filterEls.filter((el) => el.tagName === "SELECT");
+
+  if (selects.length > 0) {
+    const { data: facets, error } = await supabaseClient.rpc("list_profile_facets_public");
+    if (error) {
+      console.error("[directory] Could not load filter options:", error);
+    } else {
+      selects.forEach((select) => {
+        const facet = select.getAttribute("data-profile-filter");
+        const allOption = select.options[0]?.value === "" ? select.options[0] : new Option("All", "");
+        select.replaceChildren(
+          allOption,
+          ...(facets || [])
+            .filter((f) => f.facet === facet)
+            .map((f) => new Option(`${f.value} (${f.profile_count})`, f.value))
+        );
+      });
+    }
+  }
+
+  filterEls.forEach((el) => {
+    el.value = query[el.getAttribute("data-profile-filter")] || "";
+  });
+}
+
+// --------------------
+// PROFILE DETAIL PAGE
+// --------------------
+// One member per page at CONFIG.urlPatterns.profile (default /people/profile?id={id}).
+// Directory cards link here, so each profile has a shareable permalink.
+
+const PROFILE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Permalink for a member's detail page
+ */
+function getProfileUrl(profileId) {
+  return buildUrlFromPattern("profile", { id: profileId }) || `/people/profile?id=${encodeURIComponent(profileId)}`;
+}
+
+/**
+ * The profile id in the current URL if this is the detail route
+ * Works with query patterns (/people/profile?id={id}) and path patterns (/people/{id})
+ * @returns {string|null} null when this isn't the detail page, "" when the id is missing
+ */
+function readProfileIdFromUrl() {
+  const pattern = CONFIG.urlPatterns?.profile || "/people/profile?id={id}";
+  const [patternPath, patternQuery = ""] = pattern.split("?");
+  const pathRegex = new RegExp(
+    `^${patternPath.replace(/[.*+?^$()|[\]\\]/g, "\\$&").replace("{id}", "([^/]+)")}/?$`
+  );
+
+  const match = window.location.pathname.match(pathRegex);
+  if (!match) return null;
+  if (match[1]) return decodeURIComponent(match[1]);
+
+  const idParam = [...new URLSearchParams(patternQuery)].find(([, value]) => value === "{id}")?.[0];
+  return idParam ? new URLSearchParams(window.location.search).get(idParam) || "" : "";
+}
+
+/**
+ * Initialize the profile detail page
+ * Renders one member through get_profile_card (logged in) or get_profile_card_public
+ * Respects data-protected exactly like the directory. Profiles hidden by their
+ * owner's privacy settings look the same as ones that don't exist.
+ */
+async function initProfileDetail() {
+  const profileId = readProfileIdFromUrl();
+  if (profileId === null) return;
+
+  if (hasDebugFlag()) console.log("[directory] Initializing profile detail:", profileId);
+
+  const isProtected = document.querySelector("[data-protected]") !== null;
+  const { data: { session } } = await supabaseClient.auth.getSession();
+  const currentUserId = session?.user?.id || null;
+
+  if (isProtected && !session) {
+    if (hasDebugFlag()) console.log("[directory] Page is protected, redirecting to login");
+    window.location.href = CONFIG.redirects.loginPage;
+    return;
+  }
+
+  const detailEl = document.getElementById("profileDetail");
+  const loadingEl = document.getElementById("profileDetailLoading");
+  const notFoundEl = document.getElementById("profileDetailNotFound");
+  const errorEl = document.getElementById("profileDetailError");
+
+  if (!detailEl) {
+    console.warn("[directory] #profileDetail element not found on profile page");
+    return;
+  }
+
+  if (loadingEl) loadingEl.style.display = "";
+
+  try {
+    let profile = null;
+    if (PROFILE_ID_PATTERN.test(profileId)) {
+      const { data, error } = await supabaseClient.rpc(
+        session ? "get_profile_card" : "get_profile_card_public",
+        { target_id: profileId }
+      );
+      if (error) throw error;
+      profile = data?.[0] || null;
+    }
+
+    if (loadingEl) loadingEl.style.display = "none";
+
+    if (!profile) {
+      if (notFoundEl) {
+        detailEl.style.display = "none";
+        notFoundEl.style.display = "";
+      } else {
+        detailEl.textContent = "This profile doesn't exist or isn't visible to you.";
+      }
+      return;
+    }
+
+    // The RPCs never return private fields, so read our own through RLS
+    if (profile.id === currentUserId) {
+      const { data: own } = await supabaseClient
+        .from("profiles")
+        .select("extra_private")
+        .eq("id", currentUserId)
+        .maybeSingle();
+      profile = { ...profile, extra_private: own?.extra_private || {} };
+    }
+
+    const data = getProfileCardData(profile, currentUserId);
+    document.title = `${data.full_name} | ${document.title}`;
+
+    if (getTemplate("profile-detail-template")) {
+      detailEl.replaceChildren(renderTemplate("profile-detail-template", data));
+    } else {
+      detailEl.innerHTML = buildProfileDetailPageHtml(profile, currentUserId);
+    }
+
+    // [data-copy-profile-link] buttons copy the absolute permalink
+    document.querySelectorAll("[data-copy-profile-link]").forEach((btn) => {
+      btn.addEventListener("click", async (e) => {
+        e.preventDefault();
+        try {
+          await navigator.clipboard.writeText(new URL(data.profile_url, window.location.origin).href);
+          showFeedback("Link copied", false, "copyProfileLink");
+        } catch (error) {
+          console.error("[directory] Could not copy profile link:", error);
+          showFeedback("Could not copy the link", true, "copyProfileLink");
+        }
+      });
+    });
+  } catch (error) {
+    console.error("[directory] Failed to load profile:", error);
+    if (loadingEl) loadingEl.style.display = "none";
+    if (errorEl) {
+      errorEl.style.display = "";
+      errorEl.textContent = getFriendlyErrorMessage(error);
+    }
+    showFeedback("Failed to load profile", true);
+  }
+}
+
+/**
+ * Built-in detail page markup (used when #profile-detail-template isn't on the page)
+ */
+function buildProfileDetailPageHtml(profile, currentUserId) {
+  const data = getProfileCardData(profile, currentUserId);
+  const role = data.role || "";
+
+  return `
+    <div class="profile-detail">
+      <div class="profile-card__row">
+        ${buildAvatarHtml(data.full_name, data.avatar_url)}
+        <div class="profile-card__meta">
+          <h1 class="profile-detail__name" style="margin: 0;">${escapeHtml(data.full_name)}</h1>
+          ${role ? `<div class="profile-card__role" style="color: #666;">${escapeHtml(role)}</div>` : ""}
+          ${data.is_me ? `<div class="profile-card__badge">You</div>` : ""}
+        </div>
+      </div>
+      <div class="profile-detail__details" style="margin-top: 1rem; padding-top: 1rem; border-top: 1px solid rgba(0,0,0,0.1);">
+        ${buildProfileDetailsHtml(profile, currentUserId)}
+      </div>
+      <div class="profile-detail__actions" style="margin-top: 1rem;">
+        <a href="/people">← All members</a>
+        <button data-copy-profile-link style="margin-left: 1rem;">Copy link</button>
+        <span data-feedback-for="copyProfileLink" style="margin-left: 0.5rem; opacity: 0.8;"></span>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Data exposed to data-field hooks in #profile-card-template / #profile-detail-template
+ */
+function getProfileCardData(profile, currentUserId) {
+  const data = {
+    id: profile.id,
+    full_name: (profile.full_name || "").trim() || "(name not set)",
+    avatar_url: profile.avatar_url || "",
+    has_avatar: !!profile.avatar_url,
+    initials: getInitials(profile.full_name),
+    is_me: profile.id === currentUserId,
+    profile_url: getProfileUrl(profile.id),
+  };
+
+  // Every configured field by key; private ones only on the member's own card
+  // url fields are left empty unless they are http(s), so templates can bind them to href
+  getProfileFields().forEach((field) => {
+    const value = field.public || data.is_me ? String(getProfileFieldValue(profile, field)) : "";
+    data[field.key] = field.type === "url" ? getSafeLinkUrl(value) : value;
+    if (field.type === "url") data[`${field.key}_label`] = data[field.key].replace(/^https?:\/\/(www\.)?/, "");
+  });
+
+  return data;
+}
+
+/**
+ * Details section: long text fields as paragraphs, the rest as icon + value
+ * Private fields only appear on the member's own card (or detail page)
+ */
+function buildProfileDetailsHtml(profile, currentUserId) {
+  const isMe = profile.id === currentUserId;
+  const fields = getProfileFields().filter(
+    (field) => field.key !== "role" && (field.public || isMe) && getProfileFieldValue(profile, field)
+  );
+  const paragraphs = fields.filter((field) => field.type === "textarea");
+  const facts = fields.filter((field) => field.type !== "textarea");
+
+  return `
+    ${paragraphs
+      .map((field) => `<p style="margin: 0 0 0.75rem 0; color: #444;">${escapeHtml(String(getProfileFieldValue(profile, field)))}</p>`)
+      .join("")}
+    <div style="display: flex; flex-wrap: wrap; gap: 1rem; font-size: 0.875rem; color: #666;">
+      ${facts
+        .map((field) => {
+          const value = String(getProfileFieldValue(profile, field));
+          const prefix = field.icon ? `${field.icon} ` : `${escapeHtml(field.label || field.key)}: `;
+          // Values can be written straight through the API, so only http(s) becomes a link
+          const href = field.type === "url" ? getSafeLinkUrl(value) : "";
+          return href
+            ? `<div>${prefix}<a href="${escapeAttr(href)}" target="_blank" rel="noopener" style="color: #4299e1;">${escapeHtml(value.replace(/^https?:\/\/(www\.)?/, ''))}</a></div>`
+            : `<div>${prefix}${escapeHtml(value)}</div>`;
+        })
+        .join("")}
+    </div>
+  `;
+}
+
+/**
+ * Helper function to escape HTML
+ */
+function escapeHtml(str) {
+  const div = document.createElement("div");
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Helper function to escape HTML attributes
+ */
+function escapeAttr(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * A member-supplied URL that is safe to use as a link (http/https only), or ""
+ * Stops javascript: and data: URLs saved through the API from becoming links
+ */
+function getSafeLinkUrl(value) {
+  const text = String(value || "").trim();
+  try {
+    return ["http:", "https:"].includes(new URL(text).protocol) ? text : "";
+  } catch {
+    return "";
+  }
+}
+
+// ============================================================================
+// 8. GLOBAL AUTH STATE LISTENER
+// ============================================================================
+supabaseClient.auth.onAuthStateChange((event, session) => {
+  console.log("Auth state changed:", event);
+
+  // Handle auth events
+  switch (event) {
+    case "SIGNED_IN":
+      console.log("User signed in:", session?.user.email);
+      // Replay progress saved while signed out/offline (deferred: don't call Supabase inside this callback)
+      setTimeout(syncQueuedProgress, 0);
+      break;
+    case "SIGNED_OUT":
+      console.log("User signed out");
+      break;
+    case "TOKEN_REFRESHED":
+      console.log("Token refreshed");
+      break;
+    case "USER_UPDATED":
+      console.log("User updated");
+      if (session?.user) {
+        refreshUserEmailDisplays(session.user.email);
+        renderEmailChangeStatus(session.user);
+        // Deferred: don't call Supabase inside this callback
+        setTimeout(() => syncProfileEmail(session.user), 0);
+      }
+      break;
+  }
+});
+
+// ============================================================================
+// 9. COURSE PAGE ENTITLEMENT CHECKING
+// ============================================================================
+
+function getCourseSlugFromDom() {
+  const el = document.getElementById("courseSlug");
+  return el?.textContent?.trim() || null;
+}
+
+async function handleCoursePageGating() {
+  if (hasDebugFlag()) {
+    console.log("[auth-spike] gating bypassed via ?debug");
+    return;
+  }
+  const courseSlug = getCourseSlugFromDom();
+  if (!courseSlug) return; // not a course page
+
+  const { data: sessionRes } = await supabaseClient.auth.getSession();
+  const session = sessionRes?.session;
+
+  if (!session) {
+    console.log("[auth-spike] no session, redirecting to /login");
+    window.location.href = "/login";
+    return;
+  }
+
+  const userId = session.user.id;
+  const requiredLevel = getRequiredAccessLevel();
+  const noAccessUrl = CONFIG.redirects.noAccess || "/no-access";
+
+  const { data, error } = await supabaseClient
+    .from("entitlements")
+    .select("course_slug, access_level, starts_at, ends_at")
+    .eq("user_id", userId)
+    .eq("course_slug", courseSlug);
+
+  if (error) {
+    console.error("[auth-spike] entitlement check failed", error);
+    window.location.href = noAccessUrl;
+    return;
+  }
+
+  if (!data || data.length === 0) {
+    console.log("[auth-spike] no entitlement for", courseSlug);
+    window.location.href = noAccessUrl;
+    return;
+  }
+
+  // A user can hold several rows for one course (e.g. renewals, upgrades)
+  const activeRows = data.filter((e) => getEntitlementStatus(e) === "active");
+
+  if (activeRows.length === 0) {
+    if (data.some((e) => getEntitlementStatus(e) === "expired")) {
+      console.log("[auth-spike] entitlement expired for", courseSlug);
+      window.location.href = CONFIG.redirects.accessExpired || "/access-expired";
+    } else {
+      console.log("[auth-spike] entitlement not started yet for", courseSlug);
+      window.location.href = noAccessUrl;
+    }
+    return;
+  }
+
+  if (requiredLevel && !activeRows.some((e) => meetsAccessLevel(e.access_level, requiredLevel))) {
+    console.log(`[auth-spike] ${courseSlug} requires "${requiredLevel}" access`);
+    window.location.href = noAccessUrl;
+    return;
+  }
+
+  console.log("[auth-spike] entitlement OK for", courseSlug);
+}
+
+/**
+ * Work out where an entitlement sits in its starts_at/ends_at window
+ * Missing dates mean open-ended
+ * @returns {"active"|"scheduled"|"expired"}
+ */
+function getEntitlementStatus(entitlement, now = new Date()) {
+  if (entitlement.starts_at && new Date(entitlement.starts_at) > now) return "scheduled";
+  if (entitlement.ends_at && new Date(entitlement.ends_at) <= now) return "expired";
+  return "active";
+}
+
+/**
+ * Check an entitlement's access_level against the level a page requires
+ * Levels are ordered lowest to highest in CONFIG.accessLevels
+ */
+function meetsAccessLevel(accessLevel, requiredLevel) {
+  const levels = CONFIG.accessLevels || ["member", "premium"];
+  const requiredIndex = levels.indexOf(requiredLevel);
+
+  if (requiredIndex === -1) {
+    console.warn(`[auth-spike] Unknown required level "${requiredLevel}" - add it to CONFIG.accessLevels`);
+    return false;
+  }
+
+  return levels.indexOf(accessLevel) >= requiredIndex;
+}
+
+/**
+ * Read data-required-level from the course protection element (optional)
+ */
+function getRequiredAccessLevel() {
+  const el =
+    document.querySelector('[data-protected="course"][data-required-level]') ||
+    document.querySelector("[data-required-level]");
+  return el?.getAttribute("data-required-level") || null;
+}
+
+// ============================================================================
+// 10. ACCOUNT PAGE DATA POPULATION
+// ============================================================================
+/**
+ * Status shown on the account page - adds "expiring soon" on top of getEntitlementStatus
+ * @returns {"active"|"expiring-soon"|"scheduled"|"expired"}
+ */
+function getEntitlementDisplayStatus(entitlement, now = new Date()) {
+  const status = getEntitlementStatus(entitlement, now);
+  if (status !== "active" || !entitlement.ends_at) return status;
+
+  const soonDays = CONFIG.expiringSoonDays ?? 14;
+  const msLeft = new Date(entitlement.ends_at) - now;
+  return msLeft <= soonDays * 24 * 60 * 60 * 1000 ? "expiring-soon" : "active";
+}
+
+/**
+ * Fill a {placeholder} URL pattern from CONFIG.urlPatterns, or null if not configured
+ */
+function buildUrlFromPattern(patternKey, values) {
+  const pattern = CONFIG.urlPatterns?.[patternKey];
+  if (!pattern) return null;
+  return Object.entries(values).reduce(
+    (url, [key, value]) => url.replace(`{${key}}`, encodeURIComponent(value ?? "")),
+    pattern
+  );
+}
+
+/**
+ * Format an ISO timestamp as a short local date
+ */
+function formatShortDate(iso) {
+  if (!iso) return "";
+  const date = new Date(iso);
+  return isNaN(date) ? iso : date.toLocaleDateString();
+}
+
+/**
+ * Load the user's Stripe subscriptions keyed by course_slug
+ * Returns {} if the stripe_subscriptions table isn't set up
+ */
+async function getSubscriptionsByCourse(userId) {
+  const { data, error } = await supabaseClient
+    .from("stripe_subscriptions")
+    .select("course_slug, status, current_period_end, cancel_at_period_end, canceled_at, updated_at")
+    .eq("user_id", userId)
+    .order("updated_at", { ascending: true });
+
+  if (error) {
+    if (hasDebugFlag()) console.log("[auth-spike] No subscription data:", error.message);
+    return {};
+  }
+
+  // Later rows win, so a live subscription replaces an older cancelled one
+  return (data || []).reduce((byCourse, sub) => {
+    const current = byCourse[sub.course_slug];
+    if (!current || current.status === "canceled" || sub.status !== "canceled") {
+      byCourse[sub.course_slug] = sub;
+    }
+    return byCourse;
+  }, {});
+}
+
+/**
+ * Describe a subscription's renewal or cancellation state
+ */
+function getSubscriptionLabel(sub) {
+  const periodEnd = formatShortDate(sub.current_period_end);
+  if (sub.status === "canceled") return "Subscription cancelled";
+  if (["past_due", "unpaid", "incomplete"].includes(sub.status)) {
+    return "Payment failed - update your card";
+  }
+  if (sub.cancel_at_period_end) return periodEnd ? `Cancels on ${periodEnd}` : "Cancels at period end";
+  return periodEnd ? `Renews on ${periodEnd}` : "Renews automatically";
+}
+
+/**
+ * Shape an entitlement row for the account page (template fields and fallback markup)
+ * @param {object} e - entitlements row
+ * @param {object} [subscription] - matching stripe_subscriptions row, if any
+ */
+function getEntitlementDisplayData(e, subscription = null) {
+  const statusLabels = {
+    active: "active",
+    "expiring-soon": "expiring soon",
+    scheduled: "scheduled",
+    expired: "expired",
+  };
+  const statusKey = getEntitlementDisplayStatus(e);
+  const levels = CONFIG.accessLevels || ["member", "premium"];
+  const nextLevel = levels[levels.indexOf(e.access_level) + 1] || null;
+
+  const starts = formatShortDate(e.starts_at);
+  const ends = formatShortDate(e.ends_at);
+  let dateRange = "";
+  if (starts && ends) dateRange = `${starts} – ${ends}`;
+  else if (ends) dateRange = `${statusKey === "expired" ? "Ended" : "Until"} ${ends}`;
+  else if (starts) dateRange = `${statusKey === "scheduled" ? "Starts" : "Since"} ${starts}`;
+
+  const source = e.source || (e.stripe_checkout_session_id ? "stripe" : null);
+  const coursePattern = CONFIG.urlPatterns?.course || "/courses/{course_slug}";
+
+  return {
+    course_slug: e.course_slug,
+    course_url: coursePattern.replace("{course_slug}", e.course_slug),
+    status: statusLabels[statusKey],
+    status_key: statusKey,
+    access_level: e.access_level || "",
+    starts_at: starts,
+    ends_at: ends,
+    date_range: dateRange,
+    source: source || "",
+    source_label: source ? `Source: ${source}` : "Source: unknown",
+    stripe_customer_id: e.stripe_customer_id || "",
+    stripe_checkout_session_id: e.stripe_checkout_session_id || "",
+    stripe_payment_intent_id: e.stripe_payment_intent_id || "",
+    // Support staff search Stripe by payment intent first, then checkout session
+    reference: e.stripe_payment_intent_id || e.stripe_checkout_session_id || "",
+    // Renew when it has lapsed or is about to; upgrade when a higher level exists
+    renew_url: ["expired", "expiring-soon"].includes(statusKey)
+      ? buildUrlFromPattern("renew", { course_slug: e.course_slug }) || ""
+      : "",
+    upgrade_url: nextLevel && statusKey !== "expired"
+      ? buildUrlFromPattern("upgrade", { course_slug: e.course_slug, access_level: nextLevel }) || ""
+      : "",
+    is_active: statusKey === "active" || statusKey === "expiring-soon",
+    is_expired: statusKey === "expired",
+    is_subscription: !!subscription,
+    subscription_status: subscription?.status || "",
+    subscription_label: subscription ? getSubscriptionLabel(subscription) : "",
+    renews_at:
+      subscription && subscription.status !== "canceled" && !subscription.cancel_at_period_end
+        ? formatShortDate(subscription.current_period_end)
+        : "",
+    cancels_at: subscription?.cancel_at_period_end ? formatShortDate(subscription.current_period_end) : "",
+  };
+}
+
+async function populateAccountPage() {
+  if (hasDebugFlag()) console.log("[auth-spike] Populating account page data");
+
+  // Get current session (assumes already authenticated by protection system)
+  const { data: { session } } = await supabaseClient.auth.getSession();
+  if (!session) {
+    console.error("[auth-spike] No session found for account population");
+    return;
+  }
+
+  const user = session.user;
+
+  // 1) Email - try multiple selectors
+  const userEmailEl = document.querySelector("[data-user-email]") ||
+                      document.getElementById("userEmail") ||
+                      document.getElementById("profileEmail");
+  if (userEmailEl) {
+    userEmailEl.textContent = user.email;
+    if (hasDebugFlag()) console.log("[auth-spike] Set user email display");
+  } else if (hasDebugFlag()) {
+    console.log("[auth-spike] No email display element found. Tried: [data-user-email], #userEmail, #profileEmail");
+  }
+
+  // 2) Profile full name from Supabase
+  const fullNameEl = document.getElementById("profileFullName");
+  if (fullNameEl) {
+    const { data: profile, error } = await supabaseClient
+      .from("profiles")
+      .select("full_name")
+      .eq("id", user.id)
+      .maybeSingle();
+
+    if (!error && profile?.full_name) {
+      fullNameEl.textContent = profile.full_name;
+      if (hasDebugFlag()) console.log("[auth-spike] Set profile full name:", profile.full_name);
+    } else {
+      fullNameEl.textContent = "(name not set yet)";
+      if (hasDebugFlag()) console.log("[auth-spike] No profile name found");
+    }
+  }
+
+  // 3) Entitlements list (course-level) with status, dates, level and source
+  const entitlementsEl = document.getElementById("entitlementsList");
+  if (entitlementsEl) {
+    const { data: ents, error } = await supabaseClient
+      .from("entitlements")
+      .select(
+        "course_slug, access_level, starts_at, ends_at, created_at, source, " +
+          "stripe_customer_id, stripe_checkout_session_id, stripe_payment_intent_id"
+      )
+      .eq("user_id", user.id)
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      entitlementsEl.innerHTML = '<p class="error">Could not load entitlements.</p>';
+      console.error("[auth-spike] Entitlements error:", error);
+      return;
+    }
+
+    if (!ents || ents.length === 0) {
+      entitlementsEl.innerHTML = '<p class="empty">No course access found. Contact support if this is incorrect.</p>';
+      console.log("[auth-spike] No entitlements found for user");
+      return;
+    }
+
+    // Subscription renewal state (mirrored by the Stripe webhook) - optional table
+    const subscriptionsByCourse = await getSubscriptionsByCourse(user.id);
+    const completions = await getCourseCompletions(user.id, [...new Set(ents.map((e) => e.course_slug))]);
+    const items = ents.map((e) => ({
+      ...getEntitlementDisplayData(e, subscriptionsByCourse[e.course_slug]),
+      ...getProgressDisplayData(completions[e.course_slug]),
+    }));
+
+    // Build entitlements display with links to courses
+    const renderedFromTemplate = renderTemplateList(entitlementsEl, "entitlement-item-template", items);
+
+    if (!renderedFromTemplate) entitlementsEl.innerHTML = `
+      <ul class="entitlements-list">
+        ${items
+          .map((item) => {
+            return `<li class="entitlement-item" data-course-slug="${escapeAttr(item.course_slug)}">
+              <a href="${escapeAttr(item.course_url)}"><strong>${escapeHtml(item.course_slug)}</strong></a>
+              <span class="status-${item.status_key}">${item.status}</span>
+              <span class="entitlement-level">${escapeHtml(item.access_level)}</span>
+              <div class="entitlement-meta" style="opacity:0.8;font-size:0.9em">
+                ${item.date_range ? `${escapeHtml(item.date_range)} · ` : ""}${escapeHtml(item.source_label)}
+                ${item.subscription_label ? `<br><span class="subscription-${item.subscription_status}">${escapeHtml(item.subscription_label)}</span>` : ""}
+                ${item.reference ? `<br><small>Ref: ${escapeHtml(item.reference)}</small>` : ""}
+              </div>
+              ${item.renew_url ? `<a class="entitlement-renew" href="${escapeAttr(item.renew_url)}">Renew</a>` : ""}
+              ${item.upgrade_url ? `<a class="entitlement-upgrade" href="${escapeAttr(item.upgrade_url)}">Upgrade</a>` : ""}
+              ${buildProgressBarHtml(completions[item.course_slug])}
+            </li>`;
+          })
+          .join("")}
+      </ul>
+    `;
+    if (hasDebugFlag()) console.log(`[auth-spike] Displayed ${ents.length} entitlements`);
+  }
+
+  // 4) Debug context (optional - for development)
+  const debugEl = document.getElementById("debugContext");
+  if (debugEl && hasDebugFlag()) {
+    debugEl.innerHTML = `
+      <div class="debug-info">
+        <strong>Debug Info:</strong>
+        <br>User ID: ${user.id}
+        <br>Email: ${user.email}
+        <br>Session: Active
+        <br>Page: ${window.location.pathname}
+      </div>
+    `;
+    console.log("[auth-spike] Debug context displayed");
+  }
+}
+
+/**
+ * Render user's completed lessons on /account page, grouped by course and module
+ * Courses with a manifest also show "x of y lessons" and a progress bar
+ */
+async function renderProgressOnAccount() {
+  // Get current session (assumes already authenticated by protection system)
+  const { data: { session } } = await supabaseClient.auth.getSession();
+  if (!session) {
+    console.error("[auth-spike] No session found for progress render");
+    return;
+  }
+
+  const userId = session.user.id;
+
+  const listEl = document.getElementById("progressList");
+  const emptyEl = document.getElementById("progressEmptyState");
+
+  if (!listEl) {
+    console.log("[progress] #progressList not found on /account, skipping progress render");
+    return;
+  }
+
+  console.log("[progress] Fetching completed lessons for account page");
+
+  // Fetch all completed lessons (latest first)
+  const { data, error } = await supabaseClient
+    .from("lesson_progress")
+    .select("course_slug,module_slug,lesson_slug,completed,completed_at,updated_at")
+    .eq("user_id", userId)
+    .eq("completed", true)
+    .order("completed_at", { ascending: false });
+
+  if (error) {
+    console.error("[progress] Failed to read progress", error);
+    listEl.innerHTML = '<p class="error">Could not load progress.</p>';
+    if (emptyEl) emptyEl.style.display = "none";
+    return;
+  }
+
+  if (!data || data.length === 0) {
+    console.log("[progress] No completed lessons found");
+    listEl.innerHTML = "";
+    if (emptyEl) {
+      emptyEl.style.display = "";
+      emptyEl.textContent = "No completed lessons yet.";
+    }
+    return;
+  }
+
+  console.log(`[progress] Found ${data.length} completed lessons`);
+
+  // Hide empty state if we have data
+  if (emptyEl) emptyEl.style.display = "none";
+
+  // Format date helper
+  const formatDate = (iso) => {
+    if (!iso) return "";
+    try {
+      const date = new Date(iso);
+      // Use a shorter format for better display
+      return date.toLocaleDateString() + " " + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    } catch {
+      return iso;
+    }
+  };
+
+  const lessonPattern = CONFIG.urlPatterns?.lesson || "/lessons/{lesson_slug}";
+  const courseSlugs = [...new Set(data.map((row) => row.course_slug))];
+  const manifests = await getCourseManifests(courseSlugs);
+  const completedByCourse = data.reduce((byCourse, row) => {
+    (byCourse[row.course_slug] = byCourse[row.course_slug] || new Set()).add(row.lesson_slug);
+    return byCourse;
+  }, {});
+
+  // course → module → lessons, in manifest order where known (else latest first)
+  const courses = courseSlugs.map((courseSlug) => {
+    const lessons = manifests[courseSlug] || [];
+    const positionOf = (slug) => {
+      const index = lessons.findIndex((lesson) => lesson.lesson_slug === slug);
+      return index === -1 ? lessons.length : index;
+    };
+    const rows = data
+      .filter((row) => row.course_slug === courseSlug)
+      .sort((a, b) => positionOf(a.lesson_slug) - positionOf(b.lesson_slug));
+
+    const modules = [];
+    rows.forEach((row) => {
+      const title = lessons.find((lesson) => lesson.lesson_slug === row.lesson_slug)?.title;
+      const item = {
+        lesson_slug: row.lesson_slug,
+        lesson_title: title || row.lesson_slug,
+        lesson_url: row.lesson_slug ? lessonPattern.replace("{lesson_slug}", row.lesson_slug) : "",
+        course_slug: row.course_slug,
+        module_slug: row.module_slug,
+        completed_at: formatDate(row.completed_at || row.updated_at),
+      };
+      let module = modules.find((m) => m.module_slug === row.module_slug);
+      if (!module) {
+        module = { module_slug: row.module_slug, lessons: [] };
+        modules.push(module);
+      }
+      module.lessons.push(item);
+    });
+
+    const summary = getCourseCompletion(lessons, completedByCourse[courseSlug]);
+    return {
+      course_slug: courseSlug,
+      course_url: buildUrlFromPattern("course", { course_slug: courseSlug }) || "",
+      summary,
+      modules,
+      ...getProgressDisplayData(summary),
+    };
+  });
+
+  // Designer templates take precedence over the built-in list:
+  // #progress-course-template (with a [data-slot="lessons"] container) + #progress-item-template
+  if (getTemplate("progress-course-template") && getTemplate("progress-item-template")) {
+    const fragment = document.createDocumentFragment();
+    courses.forEach((course) => {
+      const courseEl = renderTemplate("progress-course-template", course);
+      if (!courseEl) return;
+      const slot = courseEl.querySelector('[data-slot="lessons"]') || courseEl;
+      course.modules.forEach((module) => {
+        module.lessons.forEach((lesson) => {
+          const lessonEl = renderTemplate("progress-item-template", lesson);
+          if (lessonEl) slot.appendChild(lessonEl);
+        });
+      });
+      fragment.appendChild(courseEl);
+    });
+    listEl.replaceChildren(fragment);
+    return;
+  }
+
+  const renderedFromTemplate = renderTemplateList(
+    listEl,
+    "progress-item-template",
+    courses.flatMap((course) => course.modules.flatMap((module) => module.lessons))
+  );
+  if (renderedFromTemplate) return;
+
+  // Build the grouped progress list HTML
+  listEl.innerHTML = `
+    ${courses
+      .map((course) => `
+        <div class="progress-course" data-course-slug="${escapeAttr(course.course_slug)}">
+          <h4 class="progress-course__title">
+            ${course.course_url
+              ? `<a href="${escapeAttr(course.course_url)}">${escapeHtml(course.course_slug)}</a>`
+              : escapeHtml(course.course_slug)
+            }
+          </h4>
+          ${buildProgressBarHtml(course.summary)}
+          <button type="button" class="progress-reset" data-reset-course="${escapeAttr(course.course_slug)}">Reset progress</button>
+          ${course.modules
+            .map((module) => `
+              <div class="progress-module">
+                ${module.module_slug ? `<h5 class="progress-module__title">${escapeHtml(module.module_slug)}</h5>` : ""}
+                <ul class="progress-list">
+                  ${module.lessons
+                    .map((lesson) => `
+                      <li class="progress-item">
+                        ${lesson.lesson_url
+                          ? `<a href="${escapeAttr(lesson.lesson_url)}"><strong>${escapeHtml(lesson.lesson_title)}</strong></a>`
+                          : `<strong>${escapeHtml(lesson.lesson_title)}</strong>`
+                        }
+                        ${lesson.completed_at
+                          ? `<div class="progress-meta" style="opacity:0.8;font-size:0.9em">Completed: ${escapeHtml(lesson.completed_at)}</div>`
+                          : ""
+                        }
+                      </li>
+                    `)
+                    .join("")}
+                </ul>
+              </div>
+            `)
+            .join("")}
+        </div>
+      `)
+      .join("")}
+    <div class="progress-summary" style="margin-top:1rem;padding-top:1rem;border-top:1px solid #eee">
+      <em>Total completed: ${data.length} lesson${data.length !== 1 ? 's' : ''}</em>
+    </div>
+  `;
+}
+
+/**
+ * Delete all of the user's progress for one course (retaking a course)
+ * Relies on the lesson_progress_delete_own RLS policy
+ * @returns {Promise<boolean>} true if the progress was deleted
+ */
+async function resetCourseProgress(courseSlug) {
+  const session = await getSessionOrNull();
+  if (!session) return false;
+
+  const { error } = await supabaseClient
+    .from("lesson_progress")
+    .delete()
+    .eq("user_id", session.user.id)
+    .eq("course_slug", courseSlug);
+
+  if (error) {
+    console.error("[progress] Reset failed", error);
+    return false;
+  }
+
+  // Quizzes have to be passed again too (function is optional)
+  const { error: quizError } = await supabaseClient.rpc("reset_quiz_attempts", {
+    p_course_slug: courseSlug,
+  });
+  if (quizError && hasDebugFlag()) console.log("[progress] Quiz attempts not reset:", quizError.message);
+
+  console.log("[progress] Reset progress for", courseSlug);
+  return true;
+}
+
+/**
+ * [data-reset-course="slug"] buttons on the account page, behind a confirmation
+ * Delegated, so buttons in re-rendered lists and templates keep working
+ */
+function initProgressResetButtons() {
+  document.addEventListener("click", async (e) => {
+    const btn = e.target.closest("[data-reset-course]");
+    if (!btn) return;
+    e.preventDefault();
+
+    const courseSlug = btn.getAttribute("data-reset-course");
+    if (!courseSlug) return;
+
+    const confirmed = window.confirm(
+      `Reset your progress in "${courseSlug}"? All completed lessons for this course will be cleared. This can't be undone.`
+    );
+    if (!confirmed) return;
+
+    showLoading("resetProgress", "Resetting progress...");
+    btn.disabled = true;
+
+    if (!(await resetCourseProgress(courseSlug))) {
+      btn.disabled = false;
+      showFeedback("Could not reset progress. Please try again.", true, "resetProgress");
+      return;
+    }
+
+    showFeedback("Course progress reset.", false, "resetProgress");
+    // Refresh everything on the page that shows progress
+    await Promise.all([populateAccountPage(), renderProgressOnAccount(), renderCourseProgress()]);
+  });
+}
+
+// ============================================================================
+// 11. MULTI-FACTOR AUTHENTICATION (MFA)
+// ============================================================================
+
+/**
+ * Get the user's first verified TOTP factor, if any
+ */
+async function getVerifiedTotpFactor() {
+  const { data, error } = await supabaseClient.auth.mfa.listFactors();
+  if (error) {
+    console.error("[mfa] Could not list factors", error);
+    return null;
+  }
+  return data.totp.find((factor) => factor.status === "verified") || null;
+}
+
+/**
+ * Check whether the session is at aal1 but the user has a verified factor
+ */
+async function needsMfaChallenge() {
+  const { data, error } = await supabaseClient.auth.mfa.getAuthenticatorAssuranceLevel();
+  if (error) {
+    console.error("[mfa] Could not read assurance level", error);
+    return false;
+  }
+  return data.currentLevel === "aal1" && data.nextLevel === "aal2";
+}
+
+/**
+ * Gate for data-protected="mfa": the session must be at aal2
+ * Sends users with a factor to the challenge, and users without one to set it up
+ * @returns {Promise<boolean>} true if access is allowed
+ */
+async function requireMfaOrRedirect() {
+  const { data, error } = await supabaseClient.auth.mfa.getAuthenticatorAssuranceLevel();
+
+  if (error) {
+    console.error("[mfa] Could not read assurance level", error);
+    window.location.href = CONFIG.redirects.loginPage;
+    return false;
+  }
+
+  if (data.currentLevel === "aal2") return true;
+
+  if (data.nextLevel === "aal2") {
+    console.log("[mfa] Session is aal1, redirecting to MFA challenge");
+    window.location.href = CONFIG.redirects.mfaChallenge || CONFIG.redirects.loginPage;
+  } else {
+    console.log("[mfa] No verified factor, redirecting to MFA setup");
+    window.location.href = CONFIG.redirects.mfaSetup || CONFIG.redirects.afterLogin;
+  }
+  return false;
+}
+
+/**
+ * Swap the login form for the MFA challenge form
+ */
+function showMfaChallenge() {
+  const challengeForm = document.querySelector("#mfaChallengeForm");
+  if (!challengeForm) {
+    console.warn("[mfa] Challenge required but #mfaChallengeForm not found on this page");
+    window.location.href = CONFIG.redirects.mfaChallenge || CONFIG.redirects.loginPage;
+    return;
+  }
+
+  // Hide whichever login form the user came through
+  document.querySelectorAll("#loginForm, #magicLinkForm, #otpForm").forEach((formEl) => {
+    formEl.style.display = "none";
+  });
+  challengeForm.style.display = "";
+  document.querySelector("#mfaCode")?.focus();
+}
+
+/**
+ * Verify a 6-digit TOTP code against a factor, raising the session to aal2
+ */
+async function verifyTotpCode(factorId, code) {
+  const { error } = await supabaseClient.auth.mfa.challengeAndVerify({ factorId, code });
+  if (error) throw error;
+}
+
+// --------------------
+// MFA CHALLENGE (login step 2)
+// --------------------
+const mfaChallengeForm = document.querySelector("#mfaChallengeForm");
+if (mfaChallengeForm) {
+  if (hasDebugFlag()) console.log("MFA challenge form detected, attaching handler");
+
+  // Users sent here by data-protected="mfa" already have an aal1 session
+  needsMfaChallenge().then((needed) => {
+    if (needed) showMfaChallenge();
+  });
+
+  mfaChallengeForm.addEventListener(
+    "submit",
+    async (e) => {
+      e.preventDefault();
+      e.stopPropagation(); // Prevents Webflow's handler from running
+
+      const code = document.querySelector("#mfaCode")?.value.replace(/\s/g, "");
+
+      if (!code || !/^\d{6}$/.test(code)) {
+        showFeedback(
+          "Please enter the 6-digit code from your authenticator app",
+          true,
+          "mfaChallengeForm"
+        );
+        return;
+      }
+
+      showLoading("mfaChallengeForm", "Verifying...");
+
+      try {
+        const factor = await getVerifiedTotpFactor();
+        if (!factor) throw new Error("No authenticator app is set up for this account");
+
+        await verifyTotpCode(factor.id, code);
+
+        // Passwordless and OAuth logins stash their target before the challenge
+        const redirectTo =
+          sessionStorage.getItem(AUTH_REDIRECT_STORAGE_KEY) || CONFIG.redirects.afterLogin;
+        sessionStorage.removeItem(AUTH_REDIRECT_STORAGE_KEY);
+        window.location.href = redirectTo;
+      } catch (error) {
+        showFeedback(getFriendlyErrorMessage(error), true, "mfaChallengeForm");
+      }
+    },
+    true
+  ); // Use capturing phase to intercept before Webflow
+}
+
+// --------------------
+// MFA ENROLLMENT (account page widget)
+// --------------------
+
+/**
+ * Initialize the TOTP enrollment widget inside #mfaEnroll
+ * Called from unified protection system when data-protected="account"
+ */
+async function initMfaEnrollment() {
+  const container = document.querySelector("#mfaEnroll");
+  if (!container) return;
+
+  const statusEl = document.querySelector("#mfaStatus");
+  const enrollBtn = document.querySelector("#mfaEnrollBtn");
+  const unenrollBtn = document.querySelector("#mfaUnenrollBtn");
+  const verifyForm = document.querySelector("#mfaVerifyForm");
+  const qrEl = document.querySelector("#mfaQrCode");
+  const secretEl = document.querySelector("#mfaSecret");
+
+  let pendingFactorId = null;
+
+  const render = (factor) => {
+    const enabled = factor !== null;
+    if (statusEl) {
+      statusEl.textContent = enabled
+        ? "Two-factor authentication is on"
+        : "Two-factor authentication is off";
+    }
+    if (enrollBtn) enrollBtn.style.display = enabled ? "none" : "";
+    if (unenrollBtn) unenrollBtn.style.display = enabled ? "" : "none";
+    if (verifyForm) verifyForm.style.display = "none";
+  };
+
+  render(await getVerifiedTotpFactor());
+
+  if (enrollBtn) {
+    enrollBtn.addEventListener("click", async (e) => {
+      e.preventDefault();
+
+      try {
+        // Clear out abandoned enrollments so the friendly name doesn't clash
+        const { data: factors } = await supabaseClient.auth.mfa.listFactors();
+        for (const factor of factors?.all || []) {
+          if (factor.factor_type === "totp" && factor.status === "unverified") {
+            await supabaseClient.auth.mfa.unenroll({ factorId: factor.id });
+          }
+        }
+
+        const { data, error } = await supabaseClient.auth.mfa.enroll({
+          factorType: "totp",
+          friendlyName: "Authenticator app",
+        });
+        if (error) throw error;
+
+        pendingFactorId = data.id;
+
+        // qr_code is an SVG data URI
+        if (qrEl) {
+          if (qrEl.tagName === "IMG") {
+            qrEl.src = data.totp.qr_code;
+          } else {
+            qrEl.innerHTML = `<img src="${escapeAttr(data.totp.qr_code)}" alt="Scan with your authenticator app">`;
+          }
+        }
+        if (secretEl) secretEl.textContent = data.totp.secret;
+
+        enrollBtn.style.display = "none";
+        if (verifyForm) verifyForm.style.display = "";
+        document.querySelector("#mfaEnrollCode")?.focus();
+      } catch (error) {
+        console.error("[mfa] Enrollment failed", error);
+        showFeedback(getFriendlyErrorMessage(error), true, "mfaEnroll");
+      }
+    });
+  }
+
+  if (verifyForm) {
+    verifyForm.addEventListener(
+      "submit",
+      async (e) => {
+        e.preventDefault();
+        e.stopPropagation(); // Prevents Webflow's handler from running
+
+        const code = document.querySelector("#mfaEnrollCode")?.value.replace(/\s/g, "");
+
+        if (!pendingFactorId) {
+          showFeedback("Start setup first", true, "mfaEnroll");
+          return;
+        }
+
+        if (!code || !/^\d{6}$/.test(code)) {
+          showFeedback(
+            "Please enter the 6-digit code from your authenticator app",
+            true,
+            "mfaEnroll"
+          );
+          return;
+        }
+
+        showLoading("mfaEnroll", "Verifying...");
+
+        try {
+          await verifyTotpCode(pendingFactorId, code);
+          pendingFactorId = null;
+
+          if (qrEl) qrEl.innerHTML = "";
+          if (secretEl) secretEl.textContent = "";
+
+          render(await getVerifiedTotpFactor());
+          showFeedback("Two-factor authentication enabled", false, "mfaEnroll");
+        } catch (error) {
+          showFeedback(getFriendlyErrorMessage(error), true, "mfaEnroll");
+        }
+      },
+      true
+    ); // Use capturing phase to intercept before Webflow
+  }
+
+  if (unenrollBtn) {
+    unenrollBtn.addEventListener("click", async (e) => {
+      e.preventDefault();
+
+      try {
+        const factor = await getVerifiedTotpFactor();
+        if (!factor) return;
+
+        // Removing a verified factor requires an aal2 session
+        if (await needsMfaChallenge()) {
+          showFeedback(
+            "Verify with your authenticator app before turning off two-factor authentication",
+            true,
+            "mfaEnroll"
+          );
+          window.location.href = CONFIG.redirects.mfaChallenge || CONFIG.redirects.loginPage;
+          return;
+        }
+
+        const { error } = await supabaseClient.auth.mfa.unenroll({ factorId: factor.id });
+        if (error) throw error;
+
+        render(null);
+        showFeedback("Two-factor authentication disabled", false, "mfaEnroll");
+      } catch (error) {
+        showFeedback(getFriendlyErrorMessage(error), true, "mfaEnroll");
+      }
+    });
+  }
+}
+
+// ============================================================================
+// 12. STRIPE CHECKOUT & BILLING
+// ============================================================================
+
+/**
+ * Edge Function that creates Checkout Sessions
+ * Point CONFIG.checkout.endpoint at scripts/checkout-stub.js to test locally
+ */
+function getCheckoutEndpoint() {
+  return CONFIG.checkout?.endpoint || `${CONFIG.url}/functions/v1/create-checkout-session`;
+}
+
+/**
+ * Ask the Edge Function for a Checkout Session and send the user to Stripe
+ */
+async function startCheckout(courseSlug, priceId) {
+  const session = await getSessionOrNull();
+  if (!session) {
+    window.location.href = CONFIG.redirects.loginPage;
+    return;
+  }
+
+  const successPath = CONFIG.checkout?.successPath || "/checkout/success";
+  const successUrl =
+    `${window.location.origin}${successPath}` +
+    `?course=${encodeURIComponent(courseSlug)}&session_id={CHECKOUT_SESSION_ID}`;
+
+  showLoading("checkout", "Opening secure checkout...");
+
+  try {
+    const response = await fetch(getCheckoutEndpoint(), {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${session.access_token}`,
+        apikey: CONFIG.publishableKey,
+      },
+      body: JSON.stringify({
+        course_slug: courseSlug,
+        price_id: priceId,
+        success_url: successUrl,
+        cancel_url: window.location.href,
+      }),
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.url) {
+      throw new Error(result.error || "Could not start checkout");
+    }
+
+    window.location.href = result.url;
+  } catch (error) {
+    console.error("[checkout] Failed to create session", error);
+    showFeedback(getFriendlyErrorMessage(error), true, "checkout");
+  }
+}
 
-      if (!nameInput) return;
+/**
+ * Wire every [data-checkout-course][data-checkout-price] button
+ */
+function initCheckoutButtons() {
+  document.querySelectorAll("[data-checkout-course]").forEach((button) => {
+    const courseSlug = button.getAttribute("data-checkout-course");
+    const priceId = button.getAttribute("data-checkout-price");
 
-      const updates = {
-        full_name: nameInput.value.trim(),
-        bio: bioInput?.value.trim() || null,
-        role: roleInput?.value.trim() || null,
-        company: companyInput?.value.trim() || null,
-        location: locationInput?.value.trim() || null,
-        website: websiteInput?.value.trim() || null,
-        updated_at: new Date().toISOString()
-      };
+    if (!priceId) {
+      console.warn(`[checkout] Button for ${courseSlug} is missing data-checkout-price`);
+      return;
+    }
 
-      // Show saving state
-      if (statusEl) {
-        statusEl.textContent = "Saving...";
-        statusEl.className = "save-status save-status--loading";
-      }
+    button.addEventListener(
+      "click",
+      async (e) => {
+        e.preventDefault();
+        e.stopPropagation(); // Prevents Webflow's handler from running
+        await startCheckout(courseSlug, priceId);
+      },
+      true
+    ); // Use capturing phase to intercept before Webflow
+  });
+}
 
-      try {
-        // Update profile using existing RLS
-        const { error } = await supabaseClient
-          .from("profiles")
-          .update(updates)
-          .eq("id", profileId);
+/**
+ * Checkout success page ([data-checkout-success])
+ * The webhook grants access asynchronously, so poll until the entitlement row appears
+ */
+async function initCheckoutSuccessPage() {
+  if (!document.querySelector("[data-checkout-success]")) return;
 
-        if (error) throw error;
+  const params = new URLSearchParams(window.location.search);
+  const courseSlug = params.get("course");
+  const checkoutSessionId = params.get("session_id");
 
-        // Update UI
-        const card = document.querySelector(`[data-profile-id="${profileId}"]`);
-        if (card) {
-          const nameEl = card.querySelector(".profile-card__name");
-          if (nameEl) {
-            nameEl.textContent = updates.full_name || "(name not set)";
-          }
+  if (!courseSlug) {
+    console.warn("[checkout] Success page loaded without ?course=");
+    return;
+  }
 
-          // Update role display if visible
-          const roleDisplay = card.querySelector(".profile-card__meta > div:nth-child(2)");
-          if (roleDisplay && updates.role) {
-            roleDisplay.textContent = updates.role;
-          }
+  const session = await requireAuthOrRedirect();
+  if (!session) return; // Redirect already happened
 
-          // Update details section if it exists
-          const detailsEl = document.getElementById(`details-${profileId}`);
-          if (detailsEl) {
-            // Re-render the details section with new data
-            detailsEl.innerHTML = `
-              ${updates.bio ? `<p style="margin: 0 0 0.75rem 0; color: #444;">${escapeHtml(updates.bio)}</p>` : ''}
-              <div style="display: flex; flex-wrap: wrap; gap: 1rem; font-size: 0.875rem; color: #666;">
-                ${updates.location ? `<div>📍 ${escapeHtml(updates.location)}</div>` : ''}
-                ${updates.company ? `<div>🏢 ${escapeHtml(updates.company)}</div>` : ''}
-                ${updates.website ? `<div>🔗 <a href="${escapeAttr(updates.website)}" target="_blank" rel="noopener" style="color: #4299e1;">${escapeHtml(updates.website.replace(/^https?:\/\/(www\.)?/, ''))}</a></div>` : ''}
-              </div>
-            `;
-          }
-        }
+  const pollInterval = CONFIG.checkout?.pollIntervalMs || 2000;
+  const timeout = CONFIG.checkout?.waitTimeoutMs || 60000;
+  const startedAt = Date.now();
 
-        // Show success
-        if (statusEl) {
-          statusEl.textContent = "Saved!";
-          statusEl.className = "save-status save-status--success";
+  showLoading("checkoutSuccess", "Payment received - setting up your access...");
+
+  while (Date.now() - startedAt < timeout) {
+    let query = supabaseClient
+      .from("entitlements")
+      .select("course_slug, starts_at, ends_at")
+      .eq("user_id", session.user.id)
+      .eq("course_slug", courseSlug);
+
+    if (checkoutSessionId) query = query.eq("stripe_checkout_session_id", checkoutSessionId);
+
+    const { data, error } = await query.limit(1);
+
+    if (error) {
+      console.error("[checkout] Entitlement poll failed", error);
+    } else if (data && data.length > 0) {
+      console.log("[checkout] Entitlement granted for", courseSlug);
+      showFeedback("You're in! Taking you to your course...", false, "checkoutSuccess");
+
+      const coursePattern = CONFIG.urlPatterns?.course || "/courses/{course_slug}";
+      setTimeout(() => {
+        window.location.href = coursePattern.replace("{course_slug}", courseSlug);
+      }, 1500);
+      return;
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, pollInterval));
+  }
+
+  console.warn("[checkout] Timed out waiting for entitlement", { courseSlug, checkoutSessionId });
+  showFeedback(
+    "Your payment went through, but access is taking longer than usual. Refresh in a minute or contact support.",
+    true,
+    "checkoutSuccess"
+  );
+}
+
+/**
+ * #manageBillingBtn on the account page opens the Stripe Customer Portal
+ * Hidden for users who have never bought anything (no stripe_customers row)
+ */
+async function initManageBillingButton(session) {
+  const button = document.querySelector("#manageBillingBtn");
+  if (!button) return;
+
+  const { data: customer, error } = await supabaseClient
+    .from("stripe_customers")
+    .select("stripe_customer_id")
+    .eq("user_id", session.user.id)
+    .maybeSingle();
+
+  if (error || !customer) {
+    if (hasDebugFlag()) console.log("[checkout] No Stripe customer, hiding billing button");
+    button.style.display = "none";
+    return;
+  }
+
+  button.addEventListener(
+    "click",
+    async (e) => {
+      e.preventDefault();
+      e.stopPropagation(); // Prevents Webflow's handler from running
+      if (button.getAttribute("aria-busy") === "true") return; // Request already in flight
+
+      showLoading("manageBillingBtn", "Opening billing portal...");
+
+      try {
+        const current = await getSessionOrNull();
+        if (!current) {
+          window.location.href = CONFIG.redirects.loginPage;
+          return;
         }
 
-        // Hide form after short delay
-        setTimeout(() => {
-          toggleEditForm(profileId, false);
-          if (statusEl) statusEl.textContent = "";
-        }, 1500);
+        const endpoint =
+          CONFIG.checkout?.portalEndpoint || `${CONFIG.url}/functions/v1/create-portal-session`;
+        const response = await fetch(endpoint, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${current.access_token}`,
+            apikey: CONFIG.publishableKey,
+          },
+          body: JSON.stringify({ return_url: window.location.href }),
+        });
 
-        if (hasDebugFlag()) console.log("[directory] Profile updated successfully");
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.url) {
+          throw new Error(result.error || "Could not open billing portal");
+        }
 
+        window.location.href = result.url;
       } catch (error) {
-        console.error("[directory] Failed to save profile:", error);
-        if (statusEl) {
-          statusEl.textContent = "Error saving";
-          statusEl.className = "save-status save-status--error";
-        }
-        showFeedback(error.message || "Failed to save profile", true);
+        console.error("[checkout] Billing portal failed", error);
+        showFeedback(getFriendlyErrorMessage(error), true, "manageBillingBtn");
       }
-    }
+    },
+    true
+  ); // Use capturing phase to intercept before Webflow
+}
 
+// ============================================================================
+// 13. ADMIN CONSOLE
+// ============================================================================
+// data-protected="admin" pages. Admins are rows in user_roles
+// (sql/schema/13-user-roles-table.sql), whose RLS policies let them manage
+// entitlements directly; users are looked up by email through the admin_*
+// functions (sql/functions/admin-users.sql).
+//
+// Rows created here have source = 'manual'. Extending or revoking a Stripe row
+// keeps its source, so later refunds and cancellations still find it.
 
-  } catch (error) {
-    // Hide loading
-    if (loadingEl) loadingEl.style.display = "none";
+const ADMIN_CSV_COLUMNS = ["email", "course_slug", "access_level", "access_days"];
 
-    // Show error
-    console.error("[directory] Failed to initialize:", error);
-    if (errorEl) {
-      errorEl.style.display = "";
-      errorEl.textContent = error.message || "Failed to load profiles directory";
-    }
-    showFeedback("Failed to load profiles directory", true);
-  }
+/**
+ * Send non-admins to the no-access page
+ * @returns {Promise<boolean>} true if the user is an admin
+ */
+async function requireAdminOrRedirect() {
+  const { data, error } = await supabaseClient.rpc("is_admin");
+  if (error) console.error("[admin] Could not check admin role:", error);
+  if (data === true) return true;
+
+  console.log("[admin] Not an admin, redirecting");
+  window.location.href = CONFIG.redirects.noAccess;
+  return false;
 }
 
 /**
- * Helper function to escape HTML
+ * End date `days` after the later of now and `from`; null (open-ended) without days
  */
-function escapeHtml(str) {
-  const div = document.createElement("div");
-  div.textContent = str;
-  return div.innerHTML;
+function getManualEndsAt(days, from = null) {
+  if (!days) return null;
+  const now = new Date();
+  const base = from && new Date(from) > now ? new Date(from) : now;
+  return new Date(base.getTime() + Number(days) * 24 * 60 * 60 * 1000).toISOString();
 }
 
 /**
- * Helper function to escape HTML attributes
+ * Load every entitlement row for a user, newest first (admin RLS policy)
  */
-function escapeAttr(str) {
-  return String(str)
-    .replace(/&/g, "&amp;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#39;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;");
+async function getUserEntitlements(userId) {
+  const { data, error } = await supabaseClient
+    .from("entitlements")
+    .select("*")
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false });
+
+  if (error) throw error;
+  return data || [];
 }
 
-// ============================================================================
-// 10. GLOBAL AUTH STATE LISTENER
-// ============================================================================
-supabaseClient.auth.onAuthStateChange((event, session) => {
-  console.log("Auth state changed:", event);
+/**
+ * Whether `level` would lower an entitlement currently at `currentLevel`
+ */
+function isLowerAccessLevel(level, currentLevel) {
+  return !!level && level !== currentLevel && meetsAccessLevel(currentLevel, level);
+}
 
-  // Handle auth events
-  switch (event) {
-    case "SIGNED_IN":
-      console.log("User signed in:", session?.user.email);
-      break;
-    case "SIGNED_OUT":
-      console.log("User signed out");
-      break;
-    case "TOKEN_REFRESHED":
-      console.log("Token refreshed");
-      break;
-    case "USER_UPDATED":
-      console.log("User updated");
-      break;
+/**
+ * Whole number of days >= 1 from an input value, or null
+ */
+function parseAccessDays(value) {
+  const text = String(value ?? "").trim();
+  return /^[1-9]\d*$/.test(text) ? Number(text) : null;
+}
+
+/**
+ * Give a user access to a course
+ * An active row is extended (like a repeat Stripe purchase); otherwise a new
+ * source='manual' row is inserted. A blank accessLevel keeps the current level,
+ * and an active row is only lowered with allowDowngrade (CSV imports never do)
+ * @returns {Promise<"granted"|"extended"|"unchanged">}
+ */
+async function grantEntitlement(userId, { courseSlug, accessLevel, accessDays, allowDowngrade = false }) {
+  const existing = (await getUserEntitlements(userId)).find(
+    (e) => e.course_slug === courseSlug && getEntitlementStatus(e) === "active"
+  );
+  const now = new Date().toISOString();
+
+  if (existing) {
+    // Open-ended access stays open-ended; dated access gets the days added on top
+    const endsAt = existing.ends_at ? getManualEndsAt(accessDays, existing.ends_at) || existing.ends_at : null;
+    const keepLevel = !accessLevel || (isLowerAccessLevel(accessLevel, existing.access_level) && !allowDowngrade);
+    const level = keepLevel ? existing.access_level : accessLevel;
+    if (endsAt === existing.ends_at && level === existing.access_level) return "unchanged";
+
+    const { error } = await supabaseClient
+      .from("entitlements")
+      .update({ ends_at: endsAt, access_level: level, updated_at: now })
+      .eq("id", existing.id);
+    if (error) throw error;
+    return "extended";
   }
-});
 
-// ============================================================================
-// 6. COURSE PAGE ENTITLEMENT CHECKING
-// ============================================================================
+  const { error } = await supabaseClient.from("entitlements").insert({
+    user_id: userId,
+    course_slug: courseSlug,
+    access_level: accessLevel || (CONFIG.accessLevels || ["member", "premium"])[0],
+    starts_at: now,
+    ends_at: getManualEndsAt(accessDays),
+    source: "manual",
+  });
+  if (error) throw error;
+  return "granted";
+}
+
+async function extendEntitlement(entitlement, days) {
+  const { error } = await supabaseClient
+    .from("entitlements")
+    .update({ ends_at: getManualEndsAt(days, entitlement.ends_at), updated_at: new Date().toISOString() })
+    .eq("id", entitlement.id);
+  if (error) throw error;
+}
+
+/**
+ * End access now; the row is kept so the history stays visible
+ */
+async function revokeEntitlement(entitlement) {
+  const now = new Date().toISOString();
+  const { error } = await supabaseClient
+    .from("entitlements")
+    .update({ ends_at: now, updated_at: now })
+    .eq("id", entitlement.id);
+  if (error) throw error;
+}
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, "" escapes, commas and newlines in quotes
+ * @returns {string[][]} rows of cells, blank lines dropped
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+/**
+ * Turn CSV text into grant requests
+ * Needs a header row with email and course_slug; access_level and access_days are optional
+ * @returns {{grants: Array<{line: number, email: string, courseSlug: string, accessLevel: string, accessDays: number|null}>, problems: string[]}}
+ */
+function readCohortCsv(text) {
+  // Excel prepends a byte-order mark to UTF-8 exports
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const problems = [];
+  const grants = [];
+
+  const missing = ADMIN_CSV_COLUMNS.slice(0, 2).filter((name) => !columns.includes(name));
+  if (missing.length > 0) {
+    return { grants, problems: [`Missing column${missing.length > 1 ? "s" : ""}: ${missing.join(", ")}`] };
+  }
+
+  const levels = CONFIG.accessLevels || ["member", "premium"];
+  rows.forEach((cells, index) => {
+    const line = index + 2; // 1-based, after the header
+    const value = (name) => (cells[columns.indexOf(name)] ?? "").trim();
+    const email = value("email").toLowerCase();
+    const courseSlug = value("course_slug");
+    const accessLevel = value("access_level");
+    const accessDays = value("access_days");
+
+    if (!email.includes("@")) problems.push(`Line ${line}: invalid email "${email}"`);
+    else if (!courseSlug) problems.push(`Line ${line}: course_slug is empty`);
+    else if (accessLevel && !levels.includes(accessLevel)) problems.push(`Line ${line}: unknown access_level "${accessLevel}"`);
+    else if (accessDays && !parseAccessDays(accessDays)) problems.push(`Line ${line}: access_days must be a whole number of days`);
+    else grants.push({ line, email, courseSlug, accessLevel, accessDays: parseAccessDays(accessDays) });
+  });
+
+  return { grants, problems };
+}
+
+/**
+ * Initialize the admin page
+ * - #adminUserSearchForm (#adminUserSearch) → #adminUserResults
+ * - Picking a user shows their entitlements and a grant form in #adminUserDetail
+ * - #adminCsvImportForm (#adminCsvFile) → summary in #adminCsvReport
+ */
+async function initAdminConsole() {
+  if (hasDebugFlag()) console.log("[admin] Initializing admin console");
+
+  const searchForm = document.getElementById("adminUserSearchForm");
+  const searchInput = document.getElementById("adminUserSearch");
+  const resultsEl = document.getElementById("adminUserResults");
+  const detailEl = document.getElementById("adminUserDetail");
+  const csvForm = document.getElementById("adminCsvImportForm");
+  const csvReportEl = document.getElementById("adminCsvReport");
+  let users = [];
+  let selectedUser = null;
+  let entitlements = [];
+
+  searchForm?.addEventListener(
+    "submit",
+    async (e) => {
+      e.preventDefault();
+      e.stopPropagation(); // Prevents Webflow's handler from running
+
+      showLoading("adminUserSearchForm", "Searching...");
+      const { data, error } = await supabaseClient.rpc("admin_search_users", {
+        p_search: searchInput?.value.trim() || null,
+        p_limit: 50,
+      });
+
+      if (error) {
+        console.error("[admin] User search failed:", error);
+        showFeedback(getFriendlyErrorMessage(error), true, "adminUserSearchForm");
+        return;
+      }
+
+      users = data || [];
+      clearFeedback("adminUserSearchForm");
+      if (users.length === 0) showFeedback("No users found", false, "adminUserSearchForm");
+      renderUserResults();
+    },
+    true
+  ); // Use capturing phase to intercept before Webflow
+
+  resultsEl?.addEventListener("click", (e) => {
+    const button = e.target.closest("[data-admin-user]");
+    if (!button) return;
+    selectedUser = users.find((u) => u.id === button.getAttribute("data-admin-user")) || null;
+    loadUserDetail();
+  });
+
+  detailEl?.addEventListener("click", async (e) => {
+    const button = e.target.closest("[data-admin-action]");
+    if (!button || !selectedUser) return;
+    e.preventDefault();
+
+    const entitlement = entitlements.find((row) => row.id === button.getAttribute("data-entitlement-id"));
+    if (!entitlement) return;
+
+    const action = button.getAttribute("data-admin-action");
+    const daysInput = detailEl.querySelector(`[data-extend-days="${entitlement.id}"]`);
+    const days = parseAccessDays(daysInput?.value);
+
+    if (action === "extend" && !days) {
+      showFeedback("Enter a whole number of days (1 or more)", true, "adminUserDetail");
+      daysInput?.focus();
+      return;
+    }
+
+    if (action === "revoke" && !window.confirm(`Revoke ${entitlement.course_slug} for ${selectedUser.email}?`)) return;
+
+    showLoading("adminUserDetail", action === "revoke" ? "Revoking..." : "Extending...");
+    try {
+      if (action === "revoke") await revokeEntitlement(entitlement);
+      else await extendEntitlement(entitlement, days);
+      await loadUserDetail(action === "revoke" ? "Access revoked" : `Extended by ${days} days`);
+    } catch (error) {
+      console.error(`[admin] ${action} failed:`, error);
+      showFeedback(getFriendlyErrorMessage(error), true, "adminUserDetail");
+    }
+  });
+
+  detailEl?.addEventListener(
+    "submit",
+    async (e) => {
+      const form = e.target.closest("[data-admin-grant]");
+      if (!form || !selectedUser) return;
+      e.preventDefault();
+      e.stopPropagation(); // Prevents Webflow's handler from running
+
+      const courseSlug = form.querySelector('[name="course_slug"]')?.value.trim();
+      if (!courseSlug) {
+        showFeedback("Enter a course slug", true, "adminUserDetail");
+        return;
+      }
+
+      const daysValue = form.querySelector('[name="access_days"]')?.value.trim();
+      const accessDays = parseAccessDays(daysValue);
+      if (daysValue && !accessDays) {
+        showFeedback("Days must be a whole number (1 or more), or blank for no end", true, "adminUserDetail");
+        return;
+      }
+
+      // Lowering an active higher level has to be confirmed - otherwise it's kept
+      const accessLevel = form.querySelector('[name="access_level"]')?.value || "";
+      const current = entitlements.find(
+        (row) => row.course_slug === courseSlug && getEntitlementStatus(row) === "active"
+      );
+      const allowDowngrade = !!current && isLowerAccessLevel(accessLevel, current.access_level);
+      if (
+        allowDowngrade &&
+        !window.confirm(`Lower ${courseSlug} for ${selectedUser.email} from ${current.access_level} to ${accessLevel}?`)
+      ) {
+        return;
+      }
+
+      showLoading("adminUserDetail", "Granting...");
+      try {
+        const result = await grantEntitlement(selectedUser.id, {
+          courseSlug,
+          accessLevel,
+          accessDays,
+          allowDowngrade,
+        });
+        const messages = { granted: "Access granted", extended: "Existing access extended", unchanged: "Already has this access" };
+        await loadUserDetail(messages[result]);
+      } catch (error) {
+        console.error("[admin] Grant failed:", error);
+        showFeedback(getFriendlyErrorMessage(error), true, "adminUserDetail");
+      }
+    },
+    true
+  ); // Use capturing phase to intercept before Webflow
+
+  csvForm?.addEventListener(
+    "submit",
+    async (e) => {
+      e.preventDefault();
+      e.stopPropagation(); // Prevents Webflow's handler from running
+
+      const file = document.getElementById("adminCsvFile")?.files?.[0];
+      if (!file) {
+        showFeedback("Choose a CSV file first", true, "adminCsvImportForm");
+        return;
+      }
 
-function getCourseSlugFromDom() {
-  const el = document.getElementById("courseSlug");
-  return el?.textContent?.trim() || null;
-}
+      const { grants, problems } = readCohortCsv(await file.text());
+      if (grants.length === 0) {
+        showFeedback("Nothing to import", true, "adminCsvImportForm");
+        renderCsvReport({}, problems);
+        return;
+      }
+      if (!window.confirm(`Grant access for ${grants.length} row(s) from ${file.name}?`)) return;
 
-async function handleCoursePageGating() {
-  if (hasDebugFlag()) {
-    console.log("[auth-spike] gating bypassed via ?debug");
-    return;
-  }
-  const courseSlug = getCourseSlugFromDom();
-  if (!courseSlug) return; // not a course page
+      showLoading("adminCsvImportForm", "Looking up users...");
+      try {
+        const { data: matches, error } = await supabaseClient.rpc("admin_find_users_by_email", {
+          p_emails: [...new Set(grants.map((g) => g.email))],
+        });
+        if (error) throw error;
+        const userIds = new Map((matches || []).map((m) => [m.email, m.user_id]));
+
+        // One at a time: each grant checks the user's current rows first
+        const counts = { granted: 0, extended: 0, unchanged: 0 };
+        for (const [index, grant] of grants.entries()) {
+          showLoading("adminCsvImportForm", `Importing ${index + 1} of ${grants.length}...`);
+          const userId = userIds.get(grant.email);
+          if (!userId) {
+            problems.push(`Line ${grant.line}: no account for ${grant.email}`);
+            continue;
+          }
+          try {
+            counts[await grantEntitlement(userId, grant)]++;
+          } catch (grantError) {
+            console.error(`[admin] CSV line ${grant.line} failed:`, grantError);
+            problems.push(`Line ${grant.line}: ${getFriendlyErrorMessage(grantError)}`);
+          }
+        }
 
-  const { data: sessionRes } = await supabaseClient.auth.getSession();
-  const session = sessionRes?.session;
+        showFeedback(
+          `Import finished: ${counts.granted} granted, ${counts.extended} extended, ${counts.unchanged} unchanged, ${problems.length} skipped`,
+          problems.length > 0,
+          "adminCsvImportForm"
+        );
+        renderCsvReport(counts, problems);
+        if (selectedUser) await loadUserDetail();
+      } catch (error) {
+        console.error("[admin] CSV import failed:", error);
+        showFeedback(getFriendlyErrorMessage(error), true, "adminCsvImportForm");
+      }
+    },
+    true
+  ); // Use capturing phase to intercept before Webflow
 
-  if (!session) {
-    console.log("[auth-spike] no session, redirecting to /login");
-    window.location.href = "/login";
-    return;
+  function renderUserResults() {
+    if (!resultsEl) return;
+    resultsEl.innerHTML = users
+      .map(
+        (user) => `
+          <button type="button" class="admin-user" data-admin-user="${user.id}"
+                  style="display: block; width: 100%; text-align: left; padding: 0.5rem; margin-bottom: 0.25rem; border: 1px solid rgba(0,0,0,0.1); border-radius: 6px; background: white; cursor: pointer;">
+            <strong>${escapeHtml(user.email || "")}</strong>
+            ${user.full_name ? `<span style="color: #666;"> · ${escapeHtml(user.full_name)}</span>` : ""}
+            <span style="display: block; font-size: 0.75rem; color: #999;">Joined ${formatShortDate(user.created_at)}${user.last_sign_in_at ? ` · last seen ${formatShortDate(user.last_sign_in_at)}` : ""}</span>
+          </button>
+        `
+      )
+      .join("");
   }
 
-  const userId = session.user.id;
+  /**
+   * Reload and render the selected user's entitlements, then show `message`
+   */
+  async function loadUserDetail(message = "") {
+    if (!detailEl || !selectedUser) return;
 
-  const { data, error } = await supabaseClient
-    .from("entitlements")
-    .select("course_slug")
-    .eq("user_id", userId)
-    .eq("course_slug", courseSlug)
-    .limit(1);
+    showLoading("adminUserDetail", "Loading entitlements...");
+    try {
+      entitlements = await getUserEntitlements(selectedUser.id);
+    } catch (error) {
+      console.error("[admin] Could not load entitlements:", error);
+      showFeedback(getFriendlyErrorMessage(error), true, "adminUserDetail");
+      return;
+    }
 
-  if (error) {
-    console.error("[auth-spike] entitlement check failed", error);
-    window.location.href = "/no-access";
-    return;
-  }
+    const levels = CONFIG.accessLevels || ["member", "premium"];
+    detailEl.innerHTML = `
+      <h3 style="margin: 0 0 0.75rem 0;">${escapeHtml(selectedUser.email || "")}</h3>
+      ${entitlements.length === 0 ? `<p style="color: #666;">No entitlements yet.</p>` : ""}
+      ${entitlements
+        .map((row) => {
+          const display = getEntitlementDisplayData(row);
+          return `
+            <div class="admin-entitlement" style="display: flex; flex-wrap: wrap; align-items: center; gap: 0.5rem; padding: 0.5rem 0; border-bottom: 1px solid rgba(0,0,0,0.08);">
+              <strong>${escapeHtml(row.course_slug)}</strong>
+              <span>${escapeHtml(display.access_level)}</span>
+              <span class="entitlement-status entitlement-status--${display.status_key}">${display.status}</span>
+              <span style="color: #666; font-size: 0.875rem;">${escapeHtml(display.date_range)} · ${escapeHtml(display.source_label)}</span>
+              ${row.ends_at
+                ? `<input type="number" min="1" value="30" data-extend-days="${row.id}" aria-label="Days to extend" style="width: 4.5rem;">
+                   <button type="button" data-admin-action="extend" data-entitlement-id="${row.id}">Extend</button>`
+                : ""}
+              ${display.is_active
+                ? `<button type="button" data-admin-action="revoke" data-entitlement-id="${row.id}">Revoke</button>`
+                : ""}
+            </div>
+          `;
+        })
+        .join("")}
+      <form data-admin-grant style="display: flex; flex-wrap: wrap; gap: 0.5rem; margin-top: 1rem;">
+        <input name="course_slug" placeholder="course-slug" required>
+        <select name="access_level" aria-label="Access level">
+          <option value="">Keep current level (new: ${escapeHtml(levels[0])})</option>
+          ${levels.map((level) => `<option value="${escapeAttr(level)}">${escapeHtml(level)}</option>`).join("")}
+        </select>
+        <input name="access_days" type="number" min="1" placeholder="Days (blank = no end)" style="width: 11rem;">
+        <button type="submit">Grant access</button>
+      </form>
+    `;
 
-  if (!data || data.length === 0) {
-    console.log("[auth-spike] no entitlement for", courseSlug);
-    window.location.href = "/no-access";
-    return;
+    if (message) showFeedback(message, false, "adminUserDetail");
+    else clearFeedback("adminUserDetail");
   }
 
-  console.log("[auth-spike] entitlement OK for", courseSlug);
+  function renderCsvReport(counts, problems) {
+    if (!csvReportEl) return;
+    csvReportEl.innerHTML = problems.length
+      ? `<ul style="margin: 0.5rem 0; padding-left: 1.25rem; color: #b91c1c;">${problems.map((p) => `<li>${escapeHtml(p)}</li>`).join("")}</ul>`
+      : "";
+    if (hasDebugFlag()) console.log("[admin] CSV import:", counts, problems);
+  }
 }
 
 // ============================================================================
-// 7. ACCOUNT PAGE DATA POPULATION
+// 14. ACCOUNT DATA EXPORT & DELETION
 // ============================================================================
-async function populateAccountPage() {
-  if (hasDebugFlag()) console.log("[auth-spike] Populating account page data");
-
-  // Get current session (assumes already authenticated by protection system)
-  const { data: { session } } = await supabaseClient.auth.getSession();
-  if (!session) {
-    console.error("[auth-spike] No session found for account population");
-    return;
-  }
-
-  const user = session.user;
-
-  // 1) Email - try multiple selectors
-  const userEmailEl = document.querySelector("[data-user-email]") ||
-                      document.getElementById("userEmail") ||
-                      document.getElementById("profileEmail");
-  if (userEmailEl) {
-    userEmailEl.textContent = user.email;
-    if (hasDebugFlag()) console.log("[auth-spike] Set user email display");
-  } else if (hasDebugFlag()) {
-    console.log("[auth-spike] No email display element found. Tried: [data-user-email], #userEmail, #profileEmail");
-  }
+// "Download my data" reads the user's own rows through RLS and saves them as JSON.
+// "Delete my account" goes through the delete-account Edge Function: it checks the
+// password (or a recent login), then emails a confirmation link. Nothing is deleted
+// until that link's page is opened and the button on it is clicked - a plain link
+// would be followed by email scanners.
+
+// Tables in the export; optional ones are left out if they aren't set up
+const DATA_EXPORT_TABLES = [
+  { table: "profiles", column: "id" },
+  { table: "entitlements", column: "user_id" },
+  { table: "entitlement_purchases", column: "user_id", optional: true },
+  { table: "lesson_progress", column: "user_id" },
+  { table: "stripe_customers", column: "user_id" },
+  { table: "stripe_subscriptions", column: "user_id", optional: true },
+  { table: "quiz_attempts", column: "user_id", optional: true },
+];
+
+function getDeleteAccountEndpoint() {
+  return CONFIG.accountDeletion?.endpoint || `${CONFIG.url}/functions/v1/delete-account`;
+}
 
-  // 2) Profile full name from Supabase
-  const fullNameEl = document.getElementById("profileFullName");
-  if (fullNameEl) {
-    const { data: profile, error } = await supabaseClient
-      .from("profiles")
-      .select("full_name")
-      .eq("id", user.id)
-      .maybeSingle();
+/**
+ * Collect everything stored about the current user
+ */
+async function buildDataExport(session) {
+  const { id, email, created_at, last_sign_in_at, user_metadata } = session.user;
+  const bundle = {
+    exported_at: new Date().toISOString(),
+    user: { id, email, created_at, last_sign_in_at, user_metadata },
+  };
 
-    if (!error && profile?.full_name) {
-      fullNameEl.textContent = profile.full_name;
-      if (hasDebugFlag()) console.log("[auth-spike] Set profile full name:", profile.full_name);
-    } else {
-      fullNameEl.textContent = "(name not set yet)";
-      if (hasDebugFlag()) console.log("[auth-spike] No profile name found");
+  for (const { table, column, optional } of DATA_EXPORT_TABLES) {
+    const { data, error } = await supabaseClient.from(table).select("*").eq(column, id);
+    if (error) {
+      if (optional) {
+        if (hasDebugFlag()) console.log(`[account] Skipping ${table} in export:`, error.message);
+        continue;
+      }
+      throw error;
     }
+    bundle[table] = data || [];
   }
 
-  // 3) Entitlements list (course-level)
-  const entitlementsEl = document.getElementById("entitlementsList");
-  if (entitlementsEl) {
-    // Only select columns that actually exist in the table
-    // Basic entitlements table only has: id, user_id, course_slug, created_at
-    const { data: ents, error } = await supabaseClient
-      .from("entitlements")
-      .select("course_slug")
-      .eq("user_id", user.id);
+  return bundle;
+}
 
-    if (error) {
-      entitlementsEl.innerHTML = '<p class="error">Could not load entitlements.</p>';
-      console.error("[auth-spike] Entitlements error:", error);
-      return;
-    }
+function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
-    if (!ents || ents.length === 0) {
-      entitlementsEl.innerHTML = '<p class="empty">No course access found. Contact support if this is incorrect.</p>';
-      console.log("[auth-spike] No entitlements found for user");
-      return;
-    }
+/**
+ * #downloadDataBtn on the account page
+ */
+function initDataExportButton(session) {
+  const button = document.querySelector("#downloadDataBtn");
+  if (!button) return;
 
-    // Build entitlements display with links to courses
-    const coursePattern = CONFIG.urlPatterns?.course || "/courses/{course_slug}";
-    entitlementsEl.innerHTML = `
-      <ul class="entitlements-list">
-        ${ents
-          .map((e) => {
-            const courseUrl = coursePattern.replace("{course_slug}", e.course_slug);
-            return `<li>
-              <a href="${courseUrl}"><strong>${e.course_slug}</strong></a>
-              <span class="status-active">active</span>
-            </li>`;
-          })
-          .join("")}
-      </ul>
-    `;
-    if (hasDebugFlag()) console.log(`[auth-spike] Displayed ${ents.length} entitlements`);
-  }
+  button.addEventListener(
+    "click",
+    async (e) => {
+      e.preventDefault();
+      e.stopPropagation(); // Prevents Webflow's handler from running
+      if (button.getAttribute("aria-busy") === "true") return; // Request already in flight
 
-  // 4) Debug context (optional - for development)
-  const debugEl = document.getElementById("debugContext");
-  if (debugEl && hasDebugFlag()) {
-    debugEl.innerHTML = `
-      <div class="debug-info">
-        <strong>Debug Info:</strong>
-        <br>User ID: ${user.id}
-        <br>Email: ${user.email}
-        <br>Session: Active
-        <br>Page: ${window.location.pathname}
-      </div>
-    `;
-    console.log("[auth-spike] Debug context displayed");
-  }
+      showLoading("downloadDataBtn", "Preparing your data...");
+      try {
+        const bundle = await buildDataExport(session);
+        downloadJson(`my-data-${new Date().toISOString().slice(0, 10)}.json`, bundle);
+        showFeedback("Your data has been downloaded", false, "downloadDataBtn");
+      } catch (error) {
+        console.error("[account] Data export failed:", error);
+        showFeedback(getFriendlyErrorMessage(error), true, "downloadDataBtn");
+      }
+    },
+    true
+  ); // Use capturing phase to intercept before Webflow
 }
 
 /**
- * Render user's completed lessons progress on /account page
+ * POST to the delete-account Edge Function
  */
-async function renderProgressOnAccount() {
-  // Get current session (assumes already authenticated by protection system)
-  const { data: { session } } = await supabaseClient.auth.getSession();
-  if (!session) {
-    console.error("[auth-spike] No session found for progress render");
-    return;
+async function callDeleteAccount(payload, accessToken = null) {
+  const response = await fetch(getDeleteAccountEndpoint(), {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${accessToken || CONFIG.publishableKey}`,
+      apikey: CONFIG.publishableKey,
+    },
+    body: JSON.stringify(payload),
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(result.error || "Could not process the deletion request");
+    error.code = result.code;
+    throw error;
   }
+  return result;
+}
 
-  const userId = session.user.id;
+/**
+ * #deleteAccountForm on the account page
+ * Optional #deleteAccountPassword re-authenticates password users
+ */
+function initDeleteAccountForm() {
+  const form = document.querySelector("#deleteAccountForm");
+  if (!form) return;
 
-  const listEl = document.getElementById("progressList");
-  const emptyEl = document.getElementById("progressEmptyState");
+  form.addEventListener(
+    "submit",
+    async (e) => {
+      e.preventDefault();
+      e.stopPropagation(); // Prevents Webflow's handler from running
 
-  if (!listEl) {
-    console.log("[progress] #progressList not found on /account, skipping progress render");
-    return;
-  }
+      if (!window.confirm("Delete your account and all of its data? This can't be undone.")) return;
 
-  console.log("[progress] Fetching completed lessons for account page");
+      showLoading("deleteAccountForm", "Sending confirmation email...");
+      try {
+        const current = await getSessionOrNull();
+        if (!current) {
+          window.location.href = CONFIG.redirects.loginPage;
+          return;
+        }
 
-  // Fetch completed lessons (latest first)
-  const { data, error } = await supabaseClient
-    .from("lesson_progress")
-    .select("course_slug,module_slug,lesson_slug,completed,completed_at,updated_at")
-    .eq("user_id", userId)
-    .eq("completed", true)
-    .order("completed_at", { ascending: false })
-    .limit(20);
+        const confirmPath = CONFIG.accountDeletion?.confirmPath || "/account/delete";
+        await callDeleteAccount(
+          {
+            action: "request",
+            password: document.querySelector("#deleteAccountPassword")?.value || undefined,
+            confirm_url: `${window.location.origin}${confirmPath}`,
+          },
+          current.access_token
+        );
 
-  if (error) {
-    console.error("[progress] Failed to read progress", error);
-    listEl.innerHTML = '<p class="error">Could not load progress.</p>';
-    if (emptyEl) emptyEl.style.display = "none";
-    return;
-  }
+        form.reset();
+        showFeedback(
+          `Check ${current.user.email} for a link to confirm. Your account stays active until you do.`,
+          false,
+          "deleteAccountForm"
+        );
+      } catch (error) {
+        console.error("[account] Deletion request failed:", error);
+        showFeedback(getFriendlyErrorMessage(error), true, "deleteAccountForm");
+      }
+    },
+    true
+  ); // Use capturing phase to intercept before Webflow
+}
 
-  if (!data || data.length === 0) {
-    console.log("[progress] No completed lessons found");
-    listEl.innerHTML = "";
-    if (emptyEl) {
-      emptyEl.style.display = "";
-      emptyEl.textContent = "No completed lessons yet.";
-    }
+/**
+ * #confirmDeleteAccountBtn on the confirmation page (CONFIG.accountDeletion.confirmPath)
+ * The emailed ?token= authorises the deletion, so this works without a session
+ */
+function initDeleteAccountConfirmation() {
+  const button = document.querySelector("#confirmDeleteAccountBtn");
+  if (!button) return;
+
+  const token = new URLSearchParams(window.location.search).get("token");
+  if (!token) {
+    button.disabled = true;
+    showFeedback("This link is incomplete. Request a new one from your account page.", true, "confirmDeleteAccountBtn");
     return;
   }
 
-  console.log(`[progress] Found ${data.length} completed lessons`);
-
-  // Hide empty state if we have data
-  if (emptyEl) emptyEl.style.display = "none";
-
-  // Format date helper
-  const formatDate = (iso) => {
-    if (!iso) return "";
-    try {
-      const date = new Date(iso);
-      // Use a shorter format for better display
-      return date.toLocaleDateString() + " " + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    } catch {
-      return iso;
-    }
-  };
+  button.addEventListener(
+    "click",
+    async (e) => {
+      e.preventDefault();
+      e.stopPropagation(); // Prevents Webflow's handler from running
+      if (button.getAttribute("aria-busy") === "true") return; // Request already in flight
 
-  // Build the progress list HTML
-  listEl.innerHTML = `
-    <ul class="progress-list">
-      ${data
-        .map((row) => {
-          const when = formatDate(row.completed_at || row.updated_at);
-          // Build lesson URL if we have the lesson slug
-          const lessonPattern = CONFIG.urlPatterns?.lesson || "/lessons/{lesson_slug}";
-          const lessonUrl = row.lesson_slug
-            ? lessonPattern.replace("{lesson_slug}", row.lesson_slug)
-            : null;
+      showLoading("confirmDeleteAccountBtn", "Deleting your account...");
+      try {
+        await callDeleteAccount({ action: "confirm", token });
 
-          return `
-            <li class="progress-item">
-              ${lessonUrl
-                ? `<a href="${lessonUrl}"><strong>${row.lesson_slug}</strong></a>`
-                : `<strong>${row.lesson_slug}</strong>`
-              }
-              <div class="progress-meta" style="opacity:0.8;font-size:0.9em">
-                ${row.course_slug} / ${row.module_slug}
-                ${when ? `— Completed: ${when}` : ""}
-              </div>
-            </li>
-          `;
-        })
-        .join("")}
-    </ul>
-    <div class="progress-summary" style="margin-top:1rem;padding-top:1rem;border-top:1px solid #eee">
-      <em>Total completed: ${data.length} lesson${data.length !== 1 ? 's' : ''}</em>
-    </div>
-  `;
+        // The server session is gone; clear the local one too
+        await supabaseClient.auth.signOut({ scope: "local" }).catch(() => {});
+        showFeedback("Your account and data have been deleted.", false, "confirmDeleteAccountBtn");
+        button.disabled = true; // After showFeedback, which re-enables it
+        setTimeout(() => {
+          window.location.href = CONFIG.redirects.afterLogout;
+        }, 3000);
+      } catch (error) {
+        console.error("[account] Account deletion failed:", error);
+        showFeedback(getFriendlyErrorMessage(error), true, "confirmDeleteAccountBtn");
+      }
+    },
+    true
+  ); // Use capturing phase to intercept before Webflow
 }
 
 // ============================================================================
-// 11. INITIALIZATION CALLS
+// 15. INITIALIZATION CALLS
 // ============================================================================
 
 // Log initialization
@@ -1408,11 +5844,29 @@ console.log("Config:", {
   redirects: CONFIG.redirects,
 });
 
+// Finish magic link / OAuth logins (and email changes) that return with ?code=
+handleAuthCallback();
+handleEmailChangeRedirect();
+
 // Initialize unified page protection system
 initializePageProtection();
 
 // Initialize lesson progress tracking (independent of protection)
 initLessonProgressUI();
+renderCourseProgress();
+initResumeButtons();
+
+// Replay progress writes queued while offline, now and whenever the connection returns
+syncQueuedProgress();
+window.addEventListener("online", syncQueuedProgress);
 
-// Initialize profiles directory (if on /people page)
+// Initialize profiles directory (if on /people page) or a single profile page
 initProfilesDirectory();
+initProfileDetail();
+
+// Initialize Stripe checkout buttons and success page
+initCheckoutButtons();
+initCheckoutSuccessPage();
+
+// Confirmation page for account deletion links (works logged out)
+initDeleteAccountConfirmation();
@@ -0,0 +1,122 @@
+/**
+ * Local stub of the create-checkout-session Edge Function
+ *
+ * Lets you click a [data-checkout-course] button without Stripe:
+ * the "checkout" immediately redirects to your success_url.
+ *
+ * Usage:
+ *   node scripts/checkout-stub.js
+ *   // then in Webflow (or a local test page):
+ *   window.SB_CONFIG = { ..., checkout: { endpoint: "http://localhost:8787/create-checkout-session" } };
+ *
+ * Optional - simulate the webhook granting the entitlement a few seconds later,
+ * so the success page has something to wait for:
+ *   SUPABASE_URL=https://xyz.supabase.co SUPABASE_SERVICE_ROLE_KEY=... node scripts/checkout-stub.js
+ */
+
+const http = require("http");
+
+const PORT = Number(process.env.PORT) || 8787;
+const GRANT_DELAY_MS = Number(process.env.GRANT_DELAY_MS) || 3000;
+const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = process.env;
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { ...corsHeaders, "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// Read the user id from the Supabase access token (no signature check - this is a stub)
+function getUserIdFromAuthHeader(header) {
+  const token = (header || "").replace(/^Bearer\s+/i, "");
+  try {
+    const payload = JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString());
+    return payload.sub || null;
+  } catch {
+    return null;
+  }
+}
+
+async function grantEntitlement(userId, courseSlug, sessionId) {
+  const response = await fetch(`${SUPABASE_URL}/rest/v1/entitlements`, {
+    method: "POST",
+    headers: {
+      apikey: SUPABASE_SERVICE_ROLE_KEY,
+      Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      user_id: userId,
+      course_slug: courseSlug,
+      source: "stripe",
+      stripe_checkout_session_id: sessionId,
+    }),
+  });
+
+  if (!response.ok) {
+    console.error("[checkout-stub] Entitlement insert failed:", await response.text());
+    return;
+  }
+  console.log(`[checkout-stub] Granted ${courseSlug} to ${userId}`);
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, corsHeaders);
+    res.end();
+    return;
+  }
+
+  if (req.method !== "POST" || !req.url.startsWith("/create-checkout-session")) {
+    send(res, 404, { error: "Not found" });
+    return;
+  }
+
+  let raw = "";
+  req.on("data", (chunk) => (raw += chunk));
+  req.on("end", () => {
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      send(res, 400, { error: "Invalid JSON body" });
+      return;
+    }
+
+    const userId = getUserIdFromAuthHeader(req.headers.authorization);
+    if (!userId) {
+      send(res, 401, { error: "Not authenticated" });
+      return;
+    }
+
+    const { course_slug, price_id, success_url } = body;
+    if (!course_slug || !price_id || !success_url) {
+      send(res, 400, { error: "course_slug, price_id and success_url are required" });
+      return;
+    }
+
+    const sessionId = `cs_test_stub_${Date.now()}`;
+    console.log(`[checkout-stub] ${userId} buying ${course_slug} (${price_id}) → ${sessionId}`);
+
+    if (SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY) {
+      setTimeout(() => grantEntitlement(userId, course_slug, sessionId), GRANT_DELAY_MS);
+    }
+
+    send(res, 200, {
+      id: sessionId,
+      url: success_url.replace("{CHECKOUT_SESSION_ID}", sessionId),
+    });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`[checkout-stub] Listening on http://localhost:${PORT}/create-checkout-session`);
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    console.log("[checkout-stub] No SUPABASE_SERVICE_ROLE_KEY - entitlements will not be granted");
+  }
+});
@@ -0,0 +1,71 @@
+/**
+ * Send a Stripe webhook fixture to a locally served stripe-webhook function
+ *
+ * Signs the payload exactly like Stripe does (t=...,v1=HMAC-SHA256), using a
+ * fake signing secret, so the function's signature check runs for real.
+ *
+ * Usage:
+ *   supabase functions serve stripe-webhook --no-verify-jwt --env-file supabase/.env.local
+ *   USER_ID=<auth user uuid> node scripts/send-webhook-fixture.js checkout.session.completed
+ *
+ * Env:
+ *   USER_ID               - replaces __USER_ID__ in the fixture (must be a real auth.users id)
+ *   STRIPE_WEBHOOK_SECRET - must match the function's secret (default: whsec_test_local)
+ *   WEBHOOK_URL           - default: http://localhost:54321/functions/v1/stripe-webhook
+ *
+ * Sending the same fixture twice tests idempotency: the second call reports duplicate: true.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "supabase", "functions", "stripe-webhook", "fixtures");
+const SECRET = process.env.STRIPE_WEBHOOK_SECRET || "whsec_test_local";
+const WEBHOOK_URL = process.env.WEBHOOK_URL || "http://localhost:54321/functions/v1/stripe-webhook";
+
+async function main() {
+  const name = process.argv[2];
+  if (!name) {
+    const available = fs.readdirSync(FIXTURES_DIR).map((f) => f.replace(/\.json$/, ""));
+    console.error("Usage: node scripts/send-webhook-fixture.js <fixture>");
+    console.error(`Fixtures: ${available.join(", ")}`);
+    process.exit(1);
+  }
+
+  const file = path.join(FIXTURES_DIR, name.endsWith(".json") ? name : `${name}.json`);
+  let payload = fs.readFileSync(file, "utf8");
+
+  if (payload.includes("__USER_ID__")) {
+    if (!process.env.USER_ID) {
+      console.error("This fixture needs USER_ID=<auth user uuid>");
+      process.exit(1);
+    }
+    payload = payload.replace(/__USER_ID__/g, process.env.USER_ID);
+  }
+
+  // Stripe-Signature: t=<timestamp>,v1=<hex HMAC of "<timestamp>.<payload>">
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto
+    .createHmac("sha256", SECRET)
+    .update(`${timestamp}.${payload}`)
+    .digest("hex");
+
+  const response = await fetch(WEBHOOK_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Stripe-Signature": `t=${timestamp},v1=${signature}`,
+    },
+    body: payload,
+  });
+
+  console.log(`${response.status} ${response.statusText}`);
+  console.log(await response.text());
+  if (!response.ok) process.exit(1);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
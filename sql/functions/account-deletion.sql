@@ -0,0 +1,54 @@
+-- Account Deletion Functions
+-- Removes everything stored about a user before the delete-account Edge Function
+-- deletes their auth.users row. Payments stay in Stripe (invoices are kept for
+-- accounting); only our copies of the Stripe ids are removed.
+
+-- Function: Delete a user's rows from every app table (service role only)
+-- Optional tables (quizzes, subscriptions, roles...) are skipped if they aren't set up
+create or replace function public.delete_user_data(p_user_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_table text;
+begin
+  if p_user_id is null then
+    raise exception 'User ID is required';
+  end if;
+
+  foreach v_table in array array[
+    'quiz_attempts',
+    'lesson_progress',
+    'stripe_subscriptions',
+    'stripe_customers',
+    'entitlement_purchases',
+    'entitlements',
+    'user_roles'
+  ]
+  loop
+    if to_regclass('public.' || v_table) is not null then
+      execute format('delete from public.%I where user_id = $1', v_table) using p_user_id;
+    end if;
+  end loop;
+
+  -- Webhook log entries carry the user id (and email) in their metadata
+  if to_regclass('public.stripe_events') is not null then
+    delete from public.stripe_events e
+    where e.payload -> 'data' -> 'object' -> 'metadata' ->> 'user_id' = p_user_id::text;
+  end if;
+
+  -- account_deletion_requests is left for the Edge Function to remove after the
+  -- auth user is gone, so a failed deletion can be retried from the same link
+
+  delete from public.profiles where id = p_user_id;
+end;
+$$;
+
+-- Only the Edge Function (service role) may call this
+revoke execute on function public.delete_user_data(uuid) from public, anon, authenticated;
+grant execute on function public.delete_user_data(uuid) to service_role;
+
+comment on function public.delete_user_data(uuid) is
+'Deletes a user''s profile, progress, quiz attempts, entitlements, Stripe mappings and webhook log entries. Service role only; used by the delete-account Edge Function.';
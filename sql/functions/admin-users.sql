@@ -0,0 +1,76 @@
+-- Admin Console Functions
+-- User lookups for the data-protected="admin" page
+-- Emails come from auth.users, which the browser can't read, so every function
+-- checks is_admin() (sql/schema/13-user-roles-table.sql) first
+
+-- Function: Search users by email or name (admins only)
+create or replace function public.admin_search_users(p_search text, p_limit integer default 20)
+returns table (
+  id uuid,
+  email text,
+  full_name text,
+  created_at timestamp with time zone,
+  last_sign_in_at timestamp with time zone
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_pattern text := '%' || replace(replace(replace(trim(coalesce(p_search, '')), '\', '\\'), '%', '\%'), '_', '\_') || '%';
+begin
+  if not public.is_admin() then
+    raise exception 'not authorized';
+  end if;
+
+  return query
+  select
+    u.id,
+    u.email::text,
+    p.full_name,
+    u.created_at,
+    u.last_sign_in_at
+  from auth.users u
+  left join public.profiles p on p.id = u.id
+  where nullif(trim(p_search), '') is null
+    or u.email ilike v_pattern
+    or coalesce(p.full_name, '') ilike v_pattern
+  order by u.created_at desc
+  limit least(greatest(coalesce(p_limit, 20), 1), 100);
+end;
+$$;
+
+-- Function: Resolve a list of emails to user ids (admins only)
+-- Used by the CSV cohort import; matching is case-insensitive, unknown emails are left out
+create or replace function public.admin_find_users_by_email(p_emails text[])
+returns table (
+  email text,
+  user_id uuid
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin() then
+    raise exception 'not authorized';
+  end if;
+
+  return query
+  select lower(u.email)::text, u.id
+  from auth.users u
+  where lower(u.email) in (select lower(trim(e)) from unnest(p_emails) e);
+end;
+$$;
+
+-- Grant execute permission to authenticated users only (the functions check for admin)
+grant execute on function public.admin_search_users(text, integer) to authenticated;
+grant execute on function public.admin_find_users_by_email(text[]) to authenticated;
+
+comment on function public.admin_search_users(text, integer) is
+'Admin console user search over auth.users email and profile name. Raises for non-admins.';
+
+comment on function public.admin_find_users_by_email(text[]) is
+'Admin console CSV import: maps lower-cased emails to user ids. Raises for non-admins.';
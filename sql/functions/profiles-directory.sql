@@ -2,9 +2,79 @@
 -- These functions allow both anonymous and authenticated users to view profiles
 -- Email addresses are never exposed to maintain privacy
 -- Edit permissions are handled separately via RLS on the profiles table
+-- Custom fields come back in `extra`; extra_private is never returned
+-- (the drop statements let the return columns change when re-run)
+-- Privacy settings (sql/schema/12-profiles-privacy.sql) are applied by visible_profile_cards()
+
+-- Function: Is one field visible to the caller? (internal helper)
+-- field_visibility values: 'public' (default), 'members' (logged in), 'private' (owner only)
+-- Keys in private_profile_fields (sql/schema/18-private-profile-fields.sql) are owner only
+create or replace function public.profile_field_visible(p_field_visibility jsonb, p_key text, p_is_self boolean)
+returns boolean
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce(p_is_self, false)
+    or (
+      not exists (select 1 from public.private_profile_fields f where f.field_key = p_key)
+      and (
+        coalesce(p_field_visibility ->> p_key, 'public') = 'public'
+        or (coalesce(p_field_visibility ->> p_key, 'public') = 'members' and auth.uid() is not null)
+      )
+    );
+$$;
+
+-- Function: Profiles as the caller is allowed to see them (internal helper)
+-- directory_visibility: 'public' rows are listed for everyone, 'members' rows only
+-- for logged-in users, 'hidden' rows only for their owner. Fields the caller may
+-- not see come back as null (columns) or are left out of `extra`.
+drop function if exists public.visible_profile_cards();
+create or replace function public.visible_profile_cards()
+returns table (
+  id uuid,
+  full_name text,
+  avatar_url text,
+  bio text,
+  location text,
+  company text,
+  role text,
+  website text,
+  extra jsonb,
+  updated_at timestamp with time zone
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    p.id,
+    p.full_name,
+    p.avatar_url,
+    case when public.profile_field_visible(p.field_visibility, 'bio', p.id = auth.uid()) then p.bio end,
+    case when public.profile_field_visible(p.field_visibility, 'location', p.id = auth.uid()) then p.location end,
+    case when public.profile_field_visible(p.field_visibility, 'company', p.id = auth.uid()) then p.company end,
+    case when public.profile_field_visible(p.field_visibility, 'role', p.id = auth.uid()) then p.role end,
+    case when public.profile_field_visible(p.field_visibility, 'website', p.id = auth.uid()) then p.website end,
+    (
+      select coalesce(jsonb_object_agg(e.key, e.value), '{}'::jsonb)
+      from jsonb_each(p.extra) e
+      where public.profile_field_visible(p.field_visibility, e.key, p.id = auth.uid())
+    ),
+    p.updated_at
+  from public.profiles p
+  where p.id = auth.uid()
+    or p.directory_visibility = 'public'
+    or (p.directory_visibility = 'members' and auth.uid() is not null);
+$$;
+
+-- Only the directory functions below call this
+revoke execute on function public.visible_profile_cards() from public, anon, authenticated;
 
 -- Function: Get single profile (authenticated version - matches existing Supabase function)
 -- This function exists in production and requires authentication
+drop function if exists public.get_profile_card(uuid);
 create or replace function public.get_profile_card(target_id uuid)
 returns table (
   id uuid,
@@ -15,9 +85,12 @@ returns table (
   company text,
   role text,
   website text,
+  extra jsonb,
   updated_at timestamp with time zone
 )
 language plpgsql
+security definer
+set search_path = public
 as $$
 begin
   if auth.uid() is null then
@@ -34,8 +107,9 @@ begin
     p.company,
     p.role,
     p.website,
+    p.extra,
     p.updated_at
-  from public.profiles p
+  from public.visible_profile_cards() p
   where p.id = target_id
   limit 1;
 end;
@@ -45,6 +119,7 @@ $$;
 grant execute on function public.get_profile_card(uuid) to authenticated;
 
 -- Function: List all profiles (public version - no auth required)
+drop function if exists public.list_profile_cards_public();
 create or replace function public.list_profile_cards_public()
 returns table (
   id uuid,
@@ -55,6 +130,7 @@ returns table (
   company text,
   role text,
   website text,
+  extra jsonb,
   updated_at timestamp with time zone
 )
 language plpgsql
@@ -62,7 +138,7 @@ security definer
 set search_path = public
 as $$
 begin
-  -- No auth check - anyone can view
+  -- No auth check - anyone can view, within each member's privacy settings
   -- Still returns safe fields only (no email)
   return query
   select
@@ -74,8 +150,9 @@ begin
     p.company,
     p.role,
     p.website,
+    p.extra,
     p.updated_at
-  from public.profiles p
+  from public.visible_profile_cards() p
   order by p.updated_at desc nulls last;
 end;
 $$;
@@ -85,6 +162,7 @@ grant execute on function public.list_profile_cards_public() to anon;
 grant execute on function public.list_profile_cards_public() to authenticated;
 
 -- Function: Get single profile (public version - no auth required)
+drop function if exists public.get_profile_card_public(uuid);
 create or replace function public.get_profile_card_public(target_id uuid)
 returns table (
   id uuid,
@@ -95,6 +173,7 @@ returns table (
   company text,
   role text,
   website text,
+  extra jsonb,
   updated_at timestamp with time zone
 )
 language plpgsql
@@ -107,7 +186,7 @@ begin
     raise exception 'Profile ID is required';
   end if;
 
-  -- No auth check - anyone can view
+  -- No auth check - anyone can view, within each member's privacy settings
   -- Still returns safe fields only (no email)
   return query
   select
@@ -119,8 +198,9 @@ begin
     p.company,
     p.role,
     p.website,
+    p.extra,
     p.updated_at
-  from public.profiles p
+  from public.visible_profile_cards() p
   where p.id = target_id
   limit 1;
 end;
@@ -132,10 +212,13 @@ grant execute on function public.get_profile_card_public(uuid) to authenticated;
 
 -- Add comments for documentation
 comment on function public.get_profile_card(uuid) is
-'Authenticated version. Returns a single profile but requires user to be logged in. Used by authenticated pages.';
+'Authenticated version. Returns a single profile (with members-only fields) but requires user to be logged in. Used by authenticated pages.';
 
 comment on function public.list_profile_cards_public() is
-'Public version of list_profile_cards. Returns all profiles without requiring authentication. No emails exposed.';
+'Public version of list_profile_cards. Returns every profile the caller may see (directory_visibility / field_visibility) without requiring authentication. No emails exposed.';
 
 comment on function public.get_profile_card_public(uuid) is
-'Public version of get_profile_card. Returns a single profile without requiring authentication. No emails exposed.';
\ No newline at end of file
+'Public version of get_profile_card. Returns a single profile if the caller may see it, without requiring authentication. No emails exposed.';
+
+comment on function public.visible_profile_cards() is
+'Internal. Profiles filtered by directory_visibility with fields masked by field_visibility for the current caller.';
\ No newline at end of file
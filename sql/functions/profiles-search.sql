@@ -0,0 +1,105 @@
+-- Profiles Directory Search
+-- Paginated, filterable version of list_profile_cards_public for large directories
+-- Same safe fields as the other directory functions (no email, public `extra` only), plus total_count for paging
+-- Reads visible_profile_cards() (profiles-directory.sql - run it first), so members' privacy
+-- settings apply to results, search matches and facet counts alike
+
+-- Function: Search profiles (public version - no auth required)
+-- p_search matches name, bio, company, role and location (case-insensitive)
+-- p_role / p_company / p_location are exact (case-insensitive) facet filters
+drop function if exists public.search_profile_cards_public(text, text, text, text, integer, integer);
+create or replace function public.search_profile_cards_public(
+  p_search text default null,
+  p_role text default null,
+  p_company text default null,
+  p_location text default null,
+  p_limit integer default 24,
+  p_offset integer default 0
+)
+returns table (
+  id uuid,
+  full_name text,
+  avatar_url text,
+  bio text,
+  location text,
+  company text,
+  role text,
+  website text,
+  extra jsonb,
+  updated_at timestamp with time zone,
+  total_count bigint
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_pattern text := '%' || replace(replace(replace(trim(coalesce(p_search, '')), '\', '\\'), '%', '\%'), '_', '\_') || '%';
+begin
+  -- No auth check - anyone can search, within each member's privacy settings
+  -- Still returns safe fields only (no email)
+  return query
+  select
+    p.id,
+    p.full_name,
+    p.avatar_url,
+    p.bio,
+    p.location,
+    p.company,
+    p.role,
+    p.website,
+    p.extra,
+    p.updated_at,
+    count(*) over () as total_count
+  from public.visible_profile_cards() p
+  where (
+      nullif(trim(p_search), '') is null
+      or (coalesce(p.full_name, '') || ' ' || coalesce(p.bio, '') || ' ' || coalesce(p.company, '') || ' ' ||
+          coalesce(p.role, '') || ' ' || coalesce(p.location, '')) ilike v_pattern
+    )
+    and (nullif(p_role, '') is null or lower(p.role) = lower(p_role))
+    and (nullif(p_company, '') is null or lower(p.company) = lower(p_company))
+    and (nullif(p_location, '') is null or lower(p.location) = lower(p_location))
+  -- Logged-in user first, then most recently updated
+  order by (p.id = auth.uid()) desc nulls last, p.updated_at desc nulls last, p.id
+  limit least(greatest(coalesce(p_limit, 24), 1), 100)
+  offset greatest(coalesce(p_offset, 0), 0);
+end;
+$$;
+
+-- Function: Facet values for the directory filter controls (public version)
+create or replace function public.list_profile_facets_public()
+returns table (
+  facet text,
+  value text,
+  profile_count bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select f.facet, f.value, count(*) as profile_count
+  from public.visible_profile_cards() p
+  cross join lateral (
+    values ('role', nullif(trim(p.role), '')),
+           ('company', nullif(trim(p.company), '')),
+           ('location', nullif(trim(p.location), ''))
+  ) as f(facet, value)
+  where f.value is not null
+  group by f.facet, f.value
+  order by f.facet, profile_count desc, f.value;
+$$;
+
+-- Grant execute permission to both anonymous and authenticated users
+grant execute on function public.search_profile_cards_public(text, text, text, text, integer, integer) to anon;
+grant execute on function public.search_profile_cards_public(text, text, text, text, integer, integer) to authenticated;
+grant execute on function public.list_profile_facets_public() to anon;
+grant execute on function public.list_profile_facets_public() to authenticated;
+
+comment on function public.search_profile_cards_public(text, text, text, text, integer, integer) is
+'Paginated directory search. Text search over name, bio, company, role and location plus facet filters. No emails exposed.';
+
+comment on function public.list_profile_facets_public() is
+'Distinct role, company and location values with counts, for directory filter controls.';
@@ -0,0 +1,142 @@
+-- Quiz Attempt Functions
+-- Grades a lesson quiz against quiz_answers and records the attempt
+-- The browser only ever sees the score, plus which questions were wrong once passed
+-- Needs 16-quiz-completion-gate.sql (attempt limit and reset_at columns)
+
+-- Function: Grade and record a quiz attempt (authenticated only)
+-- p_answers: { "<question_key>": "value" | ["value", ...] } from the Webflow form
+-- Attempts are capped at quizzes.max_attempts_per_hour, and incorrect_questions is
+-- only returned on a pass, so answers can't be found one question at a time
+create or replace function public.submit_quiz_attempt(p_quiz_slug text, p_answers jsonb)
+returns table (
+  attempt_id bigint,
+  correct_count integer,
+  question_count integer,
+  score numeric,
+  pass_mark numeric,
+  passed boolean,
+  incorrect_questions text[]
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_quiz public.quizzes%rowtype;
+  v_answer record;
+  v_given text[];
+  v_correct integer := 0;
+  v_total integer := 0;
+  v_incorrect text[] := '{}';
+  v_score numeric;
+  v_attempt_id bigint;
+  v_recent integer;
+begin
+  if v_user_id is null then
+    raise exception 'not authenticated';
+  end if;
+
+  select * into v_quiz from public.quizzes q where q.quiz_slug = p_quiz_slug;
+  if not found then
+    raise exception 'Unknown quiz: %', p_quiz_slug;
+  end if;
+
+  -- One attempt at a time per learner + quiz, so parallel requests can't beat the limit
+  perform pg_advisory_xact_lock(hashtext(v_user_id::text || ':' || p_quiz_slug));
+
+  -- Reset attempts still count: a course reset doesn't buy more guesses
+  select count(*) into v_recent
+  from public.quiz_attempts a
+  where a.user_id = v_user_id
+    and a.quiz_slug = p_quiz_slug
+    and a.created_at > now() - interval '1 hour';
+
+  if v_recent >= v_quiz.max_attempts_per_hour then
+    raise exception 'quiz_attempt_limit'
+      using errcode = 'PT429', detail = format('At most %s attempts per hour', v_quiz.max_attempts_per_hour);
+  end if;
+
+  for v_answer in
+    select a.question_key, a.correct_answer
+    from public.quiz_answers a
+    where a.quiz_slug = p_quiz_slug
+  loop
+    v_total := v_total + 1;
+
+    -- Normalise both sides: trimmed, lower-case, sorted (checkbox order doesn't matter)
+    v_given := case jsonb_typeof(p_answers -> v_answer.question_key)
+      when 'array' then array(
+        select lower(trim(x)) from jsonb_array_elements_text(p_answers -> v_answer.question_key) x order by 1
+      )
+      when 'string' then array[lower(trim(p_answers ->> v_answer.question_key))]
+      else '{}'::text[]
+    end;
+
+    if v_given = array(select lower(trim(x)) from unnest(v_answer.correct_answer) x order by 1) then
+      v_correct := v_correct + 1;
+    else
+      v_incorrect := array_append(v_incorrect, v_answer.question_key);
+    end if;
+  end loop;
+
+  if v_total = 0 then
+    raise exception 'Quiz % has no answers configured', p_quiz_slug;
+  end if;
+
+  v_score := round(v_correct::numeric / v_total, 4);
+
+  insert into public.quiz_attempts (
+    user_id, quiz_slug, course_slug, lesson_slug, answers,
+    correct_count, question_count, score, passed
+  )
+  values (
+    v_user_id, p_quiz_slug, v_quiz.course_slug, v_quiz.lesson_slug, coalesce(p_answers, '{}'::jsonb),
+    v_correct, v_total, v_score, v_score >= v_quiz.pass_mark
+  )
+  returning id into v_attempt_id;
+
+  return query
+  select v_attempt_id, v_correct, v_total, v_score, v_quiz.pass_mark, v_score >= v_quiz.pass_mark,
+    case when v_score >= v_quiz.pass_mark then v_incorrect end;
+end;
+$$;
+
+-- Grant execute permission to authenticated users only
+grant execute on function public.submit_quiz_attempt(text, jsonb) to authenticated;
+
+comment on function public.submit_quiz_attempt(text, jsonb) is
+'Grades a quiz attempt server-side against quiz_answers, stores it in quiz_attempts and returns the score. Limited to quizzes.max_attempts_per_hour; incorrect questions are only listed once passed. Correct answers are never returned.';
+
+-- Function: Reset the caller's attempts for a course (account page "reset progress")
+-- Attempts are kept with reset_at set: they no longer count as passed, but still count
+-- towards the attempt limit
+create or replace function public.reset_quiz_attempts(p_course_slug text)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_count integer;
+begin
+  if v_user_id is null then
+    raise exception 'not authenticated';
+  end if;
+
+  update public.quiz_attempts
+  set reset_at = now()
+  where user_id = v_user_id
+    and course_slug = p_course_slug
+    and reset_at is null;
+
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
+
+grant execute on function public.reset_quiz_attempts(text) to authenticated;
+
+comment on function public.reset_quiz_attempts(text) is
+'Marks the caller''s quiz attempts for a course as reset, so the quizzes have to be passed again.';
@@ -27,4 +27,4 @@ CREATE POLICY "entitlements_select_own"
   USING (user_id = auth.uid());
 
 -- Only admins should be able to insert/update/delete entitlements
--- These policies would need to be adjusted based on your admin setup
\ No newline at end of file
+-- See 13-user-roles-table.sql for the admin role and its entitlements policies
\ No newline at end of file
@@ -12,6 +12,9 @@ CREATE TABLE IF NOT EXISTS public.lesson_progress (
   last_viewed_at timestamp with time zone NOT NULL DEFAULT now(),
   updated_at timestamp with time zone NOT NULL DEFAULT now(),
   CONSTRAINT lesson_progress_pkey PRIMARY KEY (id),
+  -- One row per user + lesson: auth-spike.js upserts views and completions on this
+  -- (existing tables get it from 19-lesson-progress-unique-key.sql)
+  CONSTRAINT lesson_progress_user_lesson_key UNIQUE (user_id, lesson_slug),
   CONSTRAINT lesson_progress_user_id_fkey FOREIGN KEY (user_id) REFERENCES auth.users(id)
 );
 
@@ -10,5 +10,9 @@ CREATE TABLE IF NOT EXISTS public.stripe_events (
   CONSTRAINT stripe_events_pkey PRIMARY KEY (id)
 );
 
+-- Enable Row Level Security with no policies: only the service role
+-- (used by the stripe-webhook Edge Function) can read or write events
+ALTER TABLE public.stripe_events ENABLE ROW LEVEL SECURITY;
+
 -- Note: No RLS policies needed as this table should only be accessible by backend/webhook handlers
 -- You may want to add policies based on your specific admin/backend setup
\ No newline at end of file
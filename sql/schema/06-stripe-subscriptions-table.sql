@@ -0,0 +1,31 @@
+-- Stripe Subscriptions Table Schema
+-- Mirrors each user's Stripe subscriptions so the account page can show renewal state
+-- Kept in sync by the stripe-webhook Edge Function (customer.subscription.* events)
+
+CREATE TABLE IF NOT EXISTS public.stripe_subscriptions (
+  id text NOT NULL, -- Stripe subscription id (sub_...)
+  user_id uuid NOT NULL,
+  stripe_customer_id text NOT NULL,
+  course_slug text NOT NULL,
+  status text NOT NULL, -- active, trialing, past_due, canceled, unpaid, ...
+  current_period_end timestamp with time zone,
+  cancel_at_period_end boolean NOT NULL DEFAULT false,
+  canceled_at timestamp with time zone,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT stripe_subscriptions_pkey PRIMARY KEY (id),
+  CONSTRAINT stripe_subscriptions_user_id_fkey FOREIGN KEY (user_id) REFERENCES auth.users(id)
+);
+
+CREATE INDEX IF NOT EXISTS stripe_subscriptions_user_id_idx
+  ON public.stripe_subscriptions (user_id);
+
+-- Enable Row Level Security
+ALTER TABLE public.stripe_subscriptions ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies: Users can only see their own subscriptions
+CREATE POLICY "stripe_subscriptions_select_own"
+  ON public.stripe_subscriptions FOR SELECT
+  USING (user_id = auth.uid());
+
+-- Only the webhook (service role) inserts/updates subscriptions
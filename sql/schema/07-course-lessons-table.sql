@@ -0,0 +1,33 @@
+-- Course Lessons Table Schema
+-- Course manifest: which lessons (in which modules) make up each course
+-- Used for completion percentages ("7 of 12 lessons, 58%")
+-- Optional if lesson lists are on the page via [data-course-lesson] attributes
+
+CREATE TABLE IF NOT EXISTS public.course_lessons (
+  id bigint GENERATED ALWAYS AS IDENTITY NOT NULL,
+  course_slug text NOT NULL,
+  module_slug text NOT NULL,
+  lesson_slug text NOT NULL,
+  title text,
+  position integer NOT NULL DEFAULT 0, -- Order within the course
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT course_lessons_pkey PRIMARY KEY (id),
+  CONSTRAINT course_lessons_course_lesson_key UNIQUE (course_slug, lesson_slug)
+);
+
+CREATE INDEX IF NOT EXISTS course_lessons_course_slug_idx
+  ON public.course_lessons (course_slug, position);
+
+-- Enable Row Level Security
+ALTER TABLE public.course_lessons ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies: Course structure is not secret, anyone can read it
+CREATE POLICY "course_lessons_select_all"
+  ON public.course_lessons FOR SELECT
+  USING (true);
+
+-- Lessons are managed in the SQL Editor / by the service role, e.g.:
+-- INSERT INTO public.course_lessons (course_slug, module_slug, lesson_slug, title, position) VALUES
+--   ('javascript-basics', 'getting-started', 'intro-to-js', 'Introduction to JavaScript', 1),
+--   ('javascript-basics', 'getting-started', 'variables', 'Variables and Types', 2);
@@ -0,0 +1,8 @@
+-- Lesson Progress: Video Position
+-- Adds the saved watch position used by [data-progress-video] lessons
+-- Safe to run on an existing lesson_progress table
+
+ALTER TABLE public.lesson_progress
+ADD COLUMN IF NOT EXISTS video_position integer; -- Seconds into the lesson video, restored on the next visit
+
+-- No new policies needed: the lesson_progress_*_own policies already cover this column
@@ -0,0 +1,75 @@
+-- Quiz Tables Schema
+-- Lesson quizzes (<form data-quiz="quiz-slug">) are graded server-side by
+-- submit_quiz_attempt (sql/functions/quiz-attempts.sql); correct answers never reach the browser
+
+-- Quizzes: one row per quiz with its pass mark
+CREATE TABLE IF NOT EXISTS public.quizzes (
+  quiz_slug text NOT NULL,
+  course_slug text NOT NULL,
+  lesson_slug text NOT NULL,
+  pass_mark numeric NOT NULL DEFAULT 0.8, -- Share of questions that must be correct (0-1)
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT quizzes_pkey PRIMARY KEY (quiz_slug),
+  CONSTRAINT quizzes_pass_mark_check CHECK (pass_mark > 0 AND pass_mark <= 1)
+);
+
+-- Quiz answers: the correct answer(s) per question
+-- question_key matches the input name in the Webflow form, correct_answer the input values
+-- Several values = checkbox question, all of them (and only them) must be ticked
+CREATE TABLE IF NOT EXISTS public.quiz_answers (
+  quiz_slug text NOT NULL,
+  question_key text NOT NULL,
+  correct_answer text[] NOT NULL,
+  CONSTRAINT quiz_answers_pkey PRIMARY KEY (quiz_slug, question_key),
+  CONSTRAINT quiz_answers_quiz_slug_fkey FOREIGN KEY (quiz_slug) REFERENCES public.quizzes(quiz_slug) ON DELETE CASCADE
+);
+
+-- Quiz attempts: every submission, with its score
+CREATE TABLE IF NOT EXISTS public.quiz_attempts (
+  id bigint GENERATED ALWAYS AS IDENTITY NOT NULL,
+  user_id uuid NOT NULL,
+  quiz_slug text NOT NULL,
+  course_slug text NOT NULL,
+  lesson_slug text NOT NULL,
+  answers jsonb NOT NULL,
+  correct_count integer NOT NULL,
+  question_count integer NOT NULL,
+  score numeric NOT NULL,
+  passed boolean NOT NULL,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT quiz_attempts_pkey PRIMARY KEY (id),
+  CONSTRAINT quiz_attempts_user_id_fkey FOREIGN KEY (user_id) REFERENCES auth.users(id),
+  CONSTRAINT quiz_attempts_quiz_slug_fkey FOREIGN KEY (quiz_slug) REFERENCES public.quizzes(quiz_slug)
+);
+
+CREATE INDEX IF NOT EXISTS quiz_attempts_user_quiz_idx
+  ON public.quiz_attempts (user_id, quiz_slug);
+
+-- Enable Row Level Security
+ALTER TABLE public.quizzes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.quiz_answers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.quiz_attempts ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies: Quiz settings are public (pass mark shown to learners)
+CREATE POLICY "quizzes_select_all"
+  ON public.quizzes FOR SELECT
+  USING (true);
+
+-- quiz_answers has no policies: only submit_quiz_attempt (security definer) can read it
+
+-- RLS Policies: Users can only see their own attempts
+CREATE POLICY "quiz_attempts_select_own"
+  ON public.quiz_attempts FOR SELECT
+  USING (user_id = auth.uid());
+
+-- No insert/update/delete policies: attempts are only written by submit_quiz_attempt
+-- (and reset by reset_quiz_attempts), so a learner can't record a passing score they
+-- didn't earn or clear their attempt limit. 16-quiz-completion-gate.sql adds the rest.
+
+-- Example quiz:
+-- INSERT INTO public.quizzes (quiz_slug, course_slug, lesson_slug, pass_mark) VALUES
+--   ('intro-to-js-quiz', 'javascript-basics', 'intro-to-js', 0.75);
+-- INSERT INTO public.quiz_answers (quiz_slug, question_key, correct_answer) VALUES
+--   ('intro-to-js-quiz', 'q1', ARRAY['b']),
+--   ('intro-to-js-quiz', 'q2', ARRAY['a', 'c']);
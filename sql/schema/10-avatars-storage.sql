@@ -0,0 +1,25 @@
+-- Avatars Storage Bucket
+-- Public bucket for profile photos uploaded from #avatarInput / the directory edit form
+-- Files live at avatars/{user_id}/avatar-<timestamp>.jpg
+
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('avatars', 'avatars', true, 2097152, ARRAY['image/jpeg', 'image/png', 'image/webp'])
+ON CONFLICT (id) DO NOTHING;
+
+-- Storage RLS: anyone can view avatars (the bucket is public, avatar_url is shown in the directory)
+CREATE POLICY "avatars_select_all"
+  ON storage.objects FOR SELECT
+  USING (bucket_id = 'avatars');
+
+-- Storage RLS: users can only write inside their own folder ({user_id}/...)
+CREATE POLICY "avatars_insert_own"
+  ON storage.objects FOR INSERT
+  WITH CHECK (bucket_id = 'avatars' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+CREATE POLICY "avatars_update_own"
+  ON storage.objects FOR UPDATE
+  USING (bucket_id = 'avatars' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+CREATE POLICY "avatars_delete_own"
+  ON storage.objects FOR DELETE
+  USING (bucket_id = 'avatars' AND (storage.foldername(name))[1] = auth.uid()::text);
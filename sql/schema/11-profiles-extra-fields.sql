@@ -0,0 +1,18 @@
+-- Profiles: Custom Fields
+-- Adds storage for CONFIG.profileFields keys that aren't built-in profile columns
+-- Safe to run on an existing profiles table
+
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS extra jsonb NOT NULL DEFAULT '{}'::jsonb,         -- Public custom fields, returned by the directory functions
+ADD COLUMN IF NOT EXISTS extra_private jsonb NOT NULL DEFAULT '{}'::jsonb; -- Private custom fields, only readable by the owner (profiles_select_own)
+
+-- Keep both columns as flat { "field_key": "value" } objects
+ALTER TABLE public.profiles DROP CONSTRAINT IF EXISTS profiles_extra_is_object;
+ALTER TABLE public.profiles ADD CONSTRAINT profiles_extra_is_object
+CHECK (jsonb_typeof(extra) = 'object');
+
+ALTER TABLE public.profiles DROP CONSTRAINT IF EXISTS profiles_extra_private_is_object;
+ALTER TABLE public.profiles ADD CONSTRAINT profiles_extra_private_is_object
+CHECK (jsonb_typeof(extra_private) = 'object');
+
+-- No new policies needed: the profiles_*_own policies already cover these columns
@@ -0,0 +1,21 @@
+-- Profiles: Privacy Controls
+-- Lets members choose who sees them in the /people directory, and who sees each field
+-- Enforced by the directory functions in sql/functions/profiles-directory.sql
+-- Safe to run on an existing profiles table
+
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS directory_visibility text NOT NULL DEFAULT 'public', -- 'public' | 'members' | 'hidden'
+ADD COLUMN IF NOT EXISTS field_visibility jsonb NOT NULL DEFAULT '{}'::jsonb; -- { "bio": "members", "company": "private" }; missing keys are 'public'
+
+ALTER TABLE public.profiles DROP CONSTRAINT IF EXISTS profiles_directory_visibility_check;
+ALTER TABLE public.profiles ADD CONSTRAINT profiles_directory_visibility_check
+CHECK (directory_visibility IN ('public', 'members', 'hidden'));
+
+ALTER TABLE public.profiles DROP CONSTRAINT IF EXISTS profiles_field_visibility_is_object;
+ALTER TABLE public.profiles ADD CONSTRAINT profiles_field_visibility_is_object
+CHECK (jsonb_typeof(field_visibility) = 'object');
+
+-- Index for the directory's visibility filter
+CREATE INDEX IF NOT EXISTS profiles_directory_visibility_idx ON public.profiles(directory_visibility);
+
+-- No new policies needed: the profiles_*_own policies already cover these columns
@@ -0,0 +1,61 @@
+-- User Roles Table Schema
+-- Staff roles for the admin console (data-protected="admin")
+-- Roles are assigned in the SQL editor - users can never grant themselves one
+
+CREATE TABLE IF NOT EXISTS public.user_roles (
+  user_id uuid NOT NULL,
+  role text NOT NULL,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT user_roles_pkey PRIMARY KEY (user_id, role),
+  CONSTRAINT user_roles_user_id_fkey FOREIGN KEY (user_id) REFERENCES auth.users(id) ON DELETE CASCADE,
+  CONSTRAINT user_roles_role_check CHECK (role IN ('admin'))
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.user_roles ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies: Users can see their own roles
+CREATE POLICY "user_roles_select_own"
+  ON public.user_roles FOR SELECT
+  USING (user_id = auth.uid());
+
+-- No insert/update/delete policies: only the SQL editor (or service role) changes roles
+
+-- is_admin(): used by the policies below, the admin functions and the admin page
+-- SECURITY DEFINER so policies on other tables can read user_roles
+CREATE OR REPLACE FUNCTION public.is_admin()
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.user_roles
+    WHERE user_id = auth.uid() AND role = 'admin'
+  );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.is_admin() TO authenticated;
+
+-- RLS Policies: Admins can read and manage every entitlement
+-- Rows created by admins must be marked source = 'manual'
+CREATE POLICY "entitlements_select_admin"
+  ON public.entitlements FOR SELECT
+  USING (public.is_admin());
+
+CREATE POLICY "entitlements_insert_admin"
+  ON public.entitlements FOR INSERT
+  WITH CHECK (public.is_admin() AND source = 'manual');
+
+CREATE POLICY "entitlements_update_admin"
+  ON public.entitlements FOR UPDATE
+  USING (public.is_admin())
+  WITH CHECK (public.is_admin());
+
+-- No delete policy: revoking sets ends_at = now() so the history is kept,
+-- the same way the Stripe webhook revokes access
+
+-- Make someone an admin:
+-- INSERT INTO public.user_roles (user_id, role)
+-- SELECT id, 'admin' FROM auth.users WHERE email = 'ops@example.com';
@@ -0,0 +1,18 @@
+-- Account Deletion Requests Table Schema
+-- Pending "Delete my account" requests, confirmed from a link in an email
+-- Written and read only by the delete-account Edge Function (service role)
+
+CREATE TABLE IF NOT EXISTS public.account_deletion_requests (
+  user_id uuid NOT NULL,
+  token_hash text NOT NULL, -- SHA-256 of the emailed token; the token itself is never stored
+  expires_at timestamp with time zone NOT NULL,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT account_deletion_requests_pkey PRIMARY KEY (user_id),
+  CONSTRAINT account_deletion_requests_token_hash_key UNIQUE (token_hash),
+  CONSTRAINT account_deletion_requests_user_id_fkey FOREIGN KEY (user_id) REFERENCES auth.users(id) ON DELETE CASCADE
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.account_deletion_requests ENABLE ROW LEVEL SECURITY;
+
+-- No policies: users can't read or write requests directly
@@ -0,0 +1,32 @@
+-- Profiles: Email Sync
+-- Keeps profiles.email in step with auth.users.email after an email change
+-- (handle_new_user in 01-profiles-table.sql only copies it once, at signup)
+
+CREATE OR REPLACE FUNCTION public.handle_user_email_change()
+RETURNS trigger AS $$
+BEGIN
+  UPDATE public.profiles SET email = new.email WHERE id = new.id;
+  RETURN new;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only create trigger if it doesn't exist
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_trigger WHERE tgname = 'on_auth_user_email_changed'
+  ) THEN
+    CREATE TRIGGER on_auth_user_email_changed
+      AFTER UPDATE OF email ON auth.users
+      FOR EACH ROW
+      WHEN (old.email IS DISTINCT FROM new.email)
+      EXECUTE FUNCTION public.handle_user_email_change();
+  END IF;
+END;
+$$;
+
+-- Backfill profiles whose email drifted before this trigger existed
+UPDATE public.profiles p
+SET email = u.email
+FROM auth.users u
+WHERE u.id = p.id AND p.email IS DISTINCT FROM u.email;
@@ -0,0 +1,69 @@
+-- Quiz Completion Gate
+-- Enforces in the database what auth-spike.js enforces on the page: a lesson with
+-- a quiz can't be marked complete until the learner has a passing attempt.
+-- Also limits how often a quiz can be attempted (see submit_quiz_attempt).
+-- Run after 09-quiz-tables.sql; safe to run on existing tables
+
+-- Attempts per learner per quiz in any rolling hour
+ALTER TABLE public.quizzes
+ADD COLUMN IF NOT EXISTS max_attempts_per_hour integer NOT NULL DEFAULT 5;
+
+-- Course resets (reset_quiz_attempts) mark attempts instead of deleting them, so
+-- the attempt limit can't be reset along with the course
+ALTER TABLE public.quiz_attempts
+ADD COLUMN IF NOT EXISTS reset_at timestamp with time zone;
+
+CREATE INDEX IF NOT EXISTS quiz_attempts_user_quiz_created_idx
+  ON public.quiz_attempts (user_id, quiz_slug, created_at);
+
+-- Learners no longer delete attempts directly
+DROP POLICY IF EXISTS "quiz_attempts_delete_own" ON public.quiz_attempts;
+
+-- Reject completed = true while any quiz on the lesson has no passing attempt
+-- Only applies to learners (auth.uid() set); the service role and SQL editor can still complete lessons
+CREATE OR REPLACE FUNCTION public.enforce_lesson_quiz_passed()
+RETURNS trigger AS $$
+DECLARE
+  v_unpassed text;
+BEGIN
+  IF NOT new.completed OR auth.uid() IS NULL THEN
+    RETURN new;
+  END IF;
+  IF TG_OP = 'UPDATE' AND old.completed THEN
+    RETURN new;
+  END IF;
+
+  SELECT q.quiz_slug INTO v_unpassed
+  FROM public.quizzes q
+  WHERE q.lesson_slug = new.lesson_slug
+    AND NOT EXISTS (
+      SELECT 1 FROM public.quiz_attempts a
+      WHERE a.user_id = new.user_id
+        AND a.quiz_slug = q.quiz_slug
+        AND a.passed
+        AND a.reset_at IS NULL
+    )
+  LIMIT 1;
+
+  IF v_unpassed IS NOT NULL THEN
+    RAISE EXCEPTION 'quiz_not_passed'
+      USING ERRCODE = 'PT403', DETAIL = format('Pass quiz %s to complete lesson %s', v_unpassed, new.lesson_slug);
+  END IF;
+
+  RETURN new;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only create trigger if it doesn't exist
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_trigger WHERE tgname = 'lesson_progress_quiz_gate'
+  ) THEN
+    CREATE TRIGGER lesson_progress_quiz_gate
+      BEFORE INSERT OR UPDATE OF completed ON public.lesson_progress
+      FOR EACH ROW
+      EXECUTE FUNCTION public.enforce_lesson_quiz_passed();
+  END IF;
+END;
+$$;
@@ -0,0 +1,37 @@
+-- Entitlement Purchases Table Schema
+-- One row per Stripe purchase that granted or extended an entitlement
+-- A repeat purchase extends the existing entitlements row, so this is what lets
+-- the stripe-webhook Edge Function refund one purchase without touching the others
+
+CREATE TABLE IF NOT EXISTS public.entitlement_purchases (
+  id bigint GENERATED ALWAYS AS IDENTITY NOT NULL,
+  entitlement_id uuid NOT NULL,
+  user_id uuid NOT NULL,
+  course_slug text NOT NULL,
+  access_level text NOT NULL, -- Level this purchase was for
+  days_added integer, -- Days added to ends_at; null = open-ended purchase, 0 = absorbed by open-ended access
+  stripe_checkout_session_id text NOT NULL,
+  stripe_payment_intent_id text,
+  refunded_at timestamp with time zone,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT entitlement_purchases_pkey PRIMARY KEY (id),
+  CONSTRAINT entitlement_purchases_checkout_session_key UNIQUE (stripe_checkout_session_id),
+  CONSTRAINT entitlement_purchases_entitlement_id_fkey FOREIGN KEY (entitlement_id) REFERENCES public.entitlements(id) ON DELETE CASCADE,
+  CONSTRAINT entitlement_purchases_user_id_fkey FOREIGN KEY (user_id) REFERENCES auth.users(id)
+);
+
+CREATE INDEX IF NOT EXISTS entitlement_purchases_payment_intent_idx
+  ON public.entitlement_purchases (stripe_payment_intent_id);
+
+CREATE INDEX IF NOT EXISTS entitlement_purchases_entitlement_id_idx
+  ON public.entitlement_purchases (entitlement_id);
+
+-- Enable Row Level Security
+ALTER TABLE public.entitlement_purchases ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies: Users can only see their own purchases
+CREATE POLICY "entitlement_purchases_select_own"
+  ON public.entitlement_purchases FOR SELECT
+  USING (user_id = auth.uid());
+
+-- Only the webhook (service role) inserts/updates purchases
@@ -0,0 +1,26 @@
+-- Profiles: Private Built-in Fields
+-- Built-in profile columns (bio, role, company, location, website) that are
+-- configured with public: false in CONFIG.profileFields. The directory functions
+-- hide these keys from everyone but the member, whatever their field_visibility
+-- says, so the setting applies to every profile straight away - not only after
+-- each member next saves their profile.
+-- Keep this in step with CONFIG.profileFields; re-run sql/functions/profiles-directory.sql after creating it
+
+CREATE TABLE IF NOT EXISTS public.private_profile_fields (
+  field_key text NOT NULL,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT private_profile_fields_pkey PRIMARY KEY (field_key)
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.private_profile_fields ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies: The list is site configuration, readable by everyone
+CREATE POLICY "private_profile_fields_select_all"
+  ON public.private_profile_fields FOR SELECT
+  USING (true);
+
+-- No insert/update/delete policies: edit the list in the SQL editor
+
+-- Example: CONFIG.profileFields has { key: "location", public: false }
+-- INSERT INTO public.private_profile_fields (field_key) VALUES ('location') ON CONFLICT DO NOTHING;
@@ -0,0 +1,43 @@
+-- Lesson Progress: One Row per User + Lesson
+-- auth-spike.js upserts views and completions with onConflict "user_id,lesson_slug",
+-- which needs lesson_progress_user_lesson_key. 03-lesson-progress-table.sql only adds
+-- it when it creates the table, so this adds it to tables that already existed,
+-- after folding duplicate rows together. Safe to re-run
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'lesson_progress_user_lesson_key'
+      AND conrelid = 'public.lesson_progress'::regclass
+  ) THEN
+    RETURN;
+  END IF;
+
+  -- The newest row per user + lesson is kept; it inherits a completion from any duplicate
+  WITH ranked AS (
+    SELECT
+      id,
+      row_number() OVER w AS rn,
+      bool_or(completed) OVER (PARTITION BY user_id, lesson_slug) AS any_completed,
+      min(completed_at) OVER (PARTITION BY user_id, lesson_slug) AS first_completed_at
+    FROM public.lesson_progress
+    WINDOW w AS (PARTITION BY user_id, lesson_slug ORDER BY updated_at DESC, id DESC)
+  )
+  UPDATE public.lesson_progress p
+  SET completed = true,
+      completed_at = coalesce(p.completed_at, r.first_completed_at, p.updated_at)
+  FROM ranked r
+  WHERE p.id = r.id AND r.rn = 1 AND r.any_completed AND NOT p.completed;
+
+  DELETE FROM public.lesson_progress p
+  USING (
+    SELECT id, row_number() OVER (PARTITION BY user_id, lesson_slug ORDER BY updated_at DESC, id DESC) AS rn
+    FROM public.lesson_progress
+  ) r
+  WHERE p.id = r.id AND r.rn > 1;
+
+  ALTER TABLE public.lesson_progress
+  ADD CONSTRAINT lesson_progress_user_lesson_key UNIQUE (user_id, lesson_slug);
+END;
+$$;
@@ -0,0 +1,24 @@
+// Transactional email for Edge Functions, sent through Resend (https://resend.com)
+// Set RESEND_API_KEY and EMAIL_FROM (e.g. "Academy <no-reply@example.com>") via `supabase secrets set`
+
+const RESEND_API_KEY = Deno.env.get("RESEND_API_KEY");
+const EMAIL_FROM = Deno.env.get("EMAIL_FROM");
+
+export async function sendEmail({ to, subject, html }: { to: string; subject: string; html: string }) {
+  if (!RESEND_API_KEY || !EMAIL_FROM) {
+    throw new Error("RESEND_API_KEY and EMAIL_FROM must be set to send email");
+  }
+
+  const response = await fetch("https://api.resend.com/emails", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${RESEND_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ from: EMAIL_FROM, to, subject, html }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Email send failed: ${response.status} ${await response.text()}`);
+  }
+}
@@ -0,0 +1,28 @@
+// Site URL checks for Edge Functions
+// URLs we hand to Stripe or put in emails must be on SITE_URL's origin
+// (e.g. https://example.webflow.io), so they can't send users to another site.
+// Functions refuse to run without SITE_URL rather than accept any URL.
+
+const SITE_URL = Deno.env.get("SITE_URL");
+
+function getOrigin(url: string): string | null {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+}
+
+export function getSiteOrigin(): string | null {
+  return SITE_URL ? getOrigin(SITE_URL) : null;
+}
+
+/**
+ * Whether url is on the site's origin (scheme, host and port all match)
+ * Unlike a prefix check, https://site.com.evil.com doesn't pass for https://site.com
+ */
+export function isSiteUrl(url: unknown): url is string {
+  const siteOrigin = getSiteOrigin();
+  if (!siteOrigin || typeof url !== "string") return false;
+  return getOrigin(url) === siteOrigin;
+}
@@ -0,0 +1,9 @@
+// Stripe client for Edge Functions (STRIPE_SECRET_KEY set via `supabase secrets set`)
+import Stripe from "https://esm.sh/stripe@14?target=deno";
+
+export const stripe = new Stripe(Deno.env.get("STRIPE_SECRET_KEY") ?? "", {
+  apiVersion: "2023-10-16",
+  httpClient: Stripe.createFetchHttpClient(),
+});
+
+export { Stripe };
@@ -0,0 +1,28 @@
+// Supabase clients for Edge Functions
+// SUPABASE_URL, SUPABASE_ANON_KEY and SUPABASE_SERVICE_ROLE_KEY are injected by Supabase
+import { createClient, type SupabaseClient, type User } from "https://esm.sh/@supabase/supabase-js@2";
+
+// Service role client - bypasses RLS, only use after checking who the caller is
+export function createAdminClient(): SupabaseClient {
+  return createClient(
+    Deno.env.get("SUPABASE_URL")!,
+    Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!,
+    { auth: { persistSession: false } },
+  );
+}
+
+// Resolve the logged-in user from the request's Authorization header
+export async function getUserFromRequest(req: Request): Promise<User | null> {
+  const authHeader = req.headers.get("Authorization");
+  if (!authHeader) return null;
+
+  const client = createClient(
+    Deno.env.get("SUPABASE_URL")!,
+    Deno.env.get("SUPABASE_ANON_KEY")!,
+    { global: { headers: { Authorization: authHeader } }, auth: { persistSession: false } },
+  );
+
+  const { data, error } = await client.auth.getUser();
+  if (error) return null;
+  return data.user;
+}
@@ -0,0 +1,115 @@
+// Create Checkout Session Edge Function
+// Called by [data-checkout-course] buttons in auth-spike.js
+//
+// POST { course_slug, price_id, success_url, cancel_url }
+// → { id, url } for the Stripe Checkout page
+//
+// Each Stripe Price must carry metadata.course_slug (and optionally
+// metadata.access_level / access_days) so buyers can't pair a cheap price with another course.
+// The entitlement itself is granted by the Stripe webhook, not here.
+
+import { corsHeaders, jsonResponse } from "../_shared/cors.ts";
+import { getSiteOrigin, isSiteUrl } from "../_shared/site.ts";
+import { stripe } from "../_shared/stripe.ts";
+import { createAdminClient, getUserFromRequest } from "../_shared/supabase.ts";
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed" }, 405);
+  }
+
+  // Only redirect back to our own site
+  if (!getSiteOrigin()) {
+    console.error("[create-checkout-session] SITE_URL is not set");
+    return jsonResponse({ error: "Checkout is not configured" }, 500);
+  }
+
+  const user = await getUserFromRequest(req);
+  if (!user) {
+    return jsonResponse({ error: "Not authenticated" }, 401);
+  }
+
+  let body: Record<string, unknown>;
+  try {
+    body = await req.json();
+  } catch {
+    return jsonResponse({ error: "Invalid JSON body" }, 400);
+  }
+
+  const { course_slug, price_id, success_url, cancel_url } = body;
+
+  if (typeof course_slug !== "string" || typeof price_id !== "string") {
+    return jsonResponse({ error: "course_slug and price_id are required" }, 400);
+  }
+
+  if (!isSiteUrl(success_url) || !isSiteUrl(cancel_url)) {
+    return jsonResponse({ error: "Invalid redirect URL" }, 400);
+  }
+
+  try {
+    // The price decides which course is sold, not the button
+    const price = await stripe.prices.retrieve(price_id);
+    if (!price.active || price.metadata.course_slug !== course_slug) {
+      return jsonResponse({ error: "Price does not match this course" }, 400);
+    }
+
+    const admin = createAdminClient();
+
+    // Reuse the user's Stripe customer, creating one on first purchase
+    const { data: existing, error: lookupError } = await admin
+      .from("stripe_customers")
+      .select("stripe_customer_id")
+      .eq("user_id", user.id)
+      .maybeSingle();
+
+    if (lookupError) throw lookupError;
+
+    let customerId = existing?.stripe_customer_id;
+    if (!customerId) {
+      const customer = await stripe.customers.create({
+        email: user.email,
+        metadata: { supabase_user_id: user.id },
+      });
+      customerId = customer.id;
+
+      const { error: insertError } = await admin.from("stripe_customers").insert({
+        user_id: user.id,
+        stripe_customer_id: customerId,
+        email: user.email,
+      });
+      if (insertError) throw insertError;
+    }
+
+    const metadata = {
+      user_id: user.id,
+      course_slug,
+      access_level: price.metadata.access_level ?? "member",
+      // Optional fixed access period for one-off purchases (empty = lifetime)
+      access_days: price.metadata.access_days ?? "",
+    };
+    const isSubscription = price.type === "recurring";
+
+    const session = await stripe.checkout.sessions.create({
+      mode: isSubscription ? "subscription" : "payment",
+      customer: customerId,
+      client_reference_id: user.id,
+      line_items: [{ price: price_id, quantity: 1 }],
+      success_url,
+      cancel_url,
+      metadata,
+      // Copy metadata onto the subscription / payment so later webhook events can find the course
+      ...(isSubscription
+        ? { subscription_data: { metadata } }
+        : { payment_intent_data: { metadata } }),
+    });
+
+    return jsonResponse({ id: session.id, url: session.url });
+  } catch (error) {
+    console.error("[create-checkout-session] failed", error);
+    return jsonResponse({ error: "Could not start checkout" }, 500);
+  }
+});
@@ -0,0 +1,59 @@
+// Create Billing Portal Session Edge Function
+// Called by #manageBillingBtn on the account page
+//
+// POST { return_url } → { url } for the Stripe Customer Portal,
+// where learners update their card or cancel a subscription.
+
+import { corsHeaders, jsonResponse } from "../_shared/cors.ts";
+import { getSiteOrigin, isSiteUrl } from "../_shared/site.ts";
+import { stripe } from "../_shared/stripe.ts";
+import { createAdminClient, getUserFromRequest } from "../_shared/supabase.ts";
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed" }, 405);
+  }
+
+  // Only return to our own site
+  if (!getSiteOrigin()) {
+    console.error("[create-portal-session] SITE_URL is not set");
+    return jsonResponse({ error: "Billing portal is not configured" }, 500);
+  }
+
+  const user = await getUserFromRequest(req);
+  if (!user) {
+    return jsonResponse({ error: "Not authenticated" }, 401);
+  }
+
+  const { return_url } = await req.json().catch(() => ({}));
+  if (!isSiteUrl(return_url)) {
+    return jsonResponse({ error: "Invalid return URL" }, 400);
+  }
+
+  try {
+    const { data: customer, error } = await createAdminClient()
+      .from("stripe_customers")
+      .select("stripe_customer_id")
+      .eq("user_id", user.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!customer) {
+      return jsonResponse({ error: "No billing account found" }, 404);
+    }
+
+    const session = await stripe.billingPortal.sessions.create({
+      customer: customer.stripe_customer_id,
+      return_url,
+    });
+
+    return jsonResponse({ url: session.url });
+  } catch (error) {
+    console.error("[create-portal-session] failed", error);
+    return jsonResponse({ error: "Could not open billing portal" }, 500);
+  }
+});
@@ -0,0 +1,197 @@
+// Delete Account Edge Function
+// Called by #deleteAccountForm and the confirmation page in auth-spike.js
+//
+// POST { action: "request", password?, confirm_url } (logged in)
+//   → re-authenticates, then emails a one-time link to confirm_url?token=...
+// POST { action: "confirm", token }
+//   → cancels Stripe subscriptions, removes avatars and app data, deletes the auth user
+//
+// Re-authentication: either the current password, or a sign-in within the last
+// REAUTH_WINDOW_MINUTES. The recent sign-in route is open to every account, because
+// magic link and OAuth users have no password to enter; a password that is sent
+// must be correct. Either way the deletion still needs the emailed link.
+// Deploy with --no-verify-jwt: the confirm step is authorised by the emailed token.
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { corsHeaders, jsonResponse } from "../_shared/cors.ts";
+import { sendEmail } from "../_shared/email.ts";
+import { getSiteOrigin, isSiteUrl } from "../_shared/site.ts";
+import { stripe } from "../_shared/stripe.ts";
+import { createAdminClient, getUserFromRequest } from "../_shared/supabase.ts";
+
+const AVATARS_BUCKET = Deno.env.get("AVATARS_BUCKET") ?? "avatars";
+const REAUTH_WINDOW_MINUTES = 10;
+const TOKEN_TTL_MINUTES = 60;
+
+type AdminClient = ReturnType<typeof createAdminClient>;
+
+async function sha256Hex(value: string): Promise<string> {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function createToken(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return [...bytes].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse({ error: "Method not allowed" }, 405);
+  }
+
+  let body: Record<string, unknown>;
+  try {
+    body = await req.json();
+  } catch {
+    return jsonResponse({ error: "Invalid JSON body" }, 400);
+  }
+
+  try {
+    if (body.action === "request") return await handleRequest(req, body);
+    if (body.action === "confirm") return await handleConfirm(body);
+    return jsonResponse({ error: "Unknown action" }, 400);
+  } catch (error) {
+    console.error(`[delete-account] ${body.action} failed`, error);
+    return jsonResponse({ error: "Could not process the deletion request" }, 500);
+  }
+});
+
+/**
+ * Re-authenticate the caller and email them a confirmation link
+ */
+async function handleRequest(req: Request, body: Record<string, unknown>): Promise<Response> {
+  const user = await getUserFromRequest(req);
+  if (!user?.email) {
+    return jsonResponse({ error: "Not authenticated" }, 401);
+  }
+
+  const { password, confirm_url } = body;
+  // Only link back to our own site
+  if (!getSiteOrigin()) {
+    console.error("[delete-account] SITE_URL is not set");
+    return jsonResponse({ error: "Account deletion is not configured" }, 500);
+  }
+  if (!isSiteUrl(confirm_url)) {
+    return jsonResponse({ error: "Invalid confirmation URL" }, 400);
+  }
+
+  if (typeof password === "string" && password) {
+    const client = createClient(Deno.env.get("SUPABASE_URL")!, Deno.env.get("SUPABASE_ANON_KEY")!, {
+      auth: { persistSession: false },
+    });
+    const { error } = await client.auth.signInWithPassword({ email: user.email, password });
+    if (error) {
+      return jsonResponse({ error: "Incorrect password", code: "incorrect_password" }, 401);
+    }
+  } else {
+    const signedInAt = user.last_sign_in_at ? new Date(user.last_sign_in_at).getTime() : 0;
+    if (Date.now() - signedInAt > REAUTH_WINDOW_MINUTES * 60 * 1000) {
+      return jsonResponse(
+        { error: "Please enter your password, or log in again, to delete your account", code: "reauthentication_needed" },
+        403,
+      );
+    }
+  }
+
+  const token = createToken();
+  const admin = createAdminClient();
+  const { error } = await admin.from("account_deletion_requests").upsert(
+    {
+      user_id: user.id,
+      token_hash: await sha256Hex(token),
+      expires_at: new Date(Date.now() + TOKEN_TTL_MINUTES * 60 * 1000).toISOString(),
+      created_at: new Date().toISOString(),
+    },
+    { onConflict: "user_id" },
+  );
+  if (error) throw error;
+
+  const link = new URL(confirm_url);
+  link.searchParams.set("token", token);
+  await sendEmail({
+    to: user.email,
+    subject: "Confirm your account deletion",
+    html: `
+      <p>We received a request to delete your account and all of its data.</p>
+      <p><a href="${link.toString()}">Confirm account deletion</a></p>
+      <p>This link expires in ${TOKEN_TTL_MINUTES} minutes. If you didn't ask for this, ignore this email and change your password.</p>
+    `,
+  });
+
+  console.log(`[delete-account] Confirmation sent to ${user.id}`);
+  return jsonResponse({ sent: true });
+}
+
+/**
+ * Delete the account behind a valid, unexpired token
+ */
+async function handleConfirm(body: Record<string, unknown>): Promise<Response> {
+  if (typeof body.token !== "string" || !body.token) {
+    return jsonResponse({ error: "Missing token" }, 400);
+  }
+
+  const admin = createAdminClient();
+  const { data: request, error } = await admin
+    .from("account_deletion_requests")
+    .select("user_id, expires_at")
+    .eq("token_hash", await sha256Hex(body.token))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!request || new Date(request.expires_at) <= new Date()) {
+    return jsonResponse({ error: "This link is invalid or has expired. Request a new one from your account page." }, 400);
+  }
+
+  const userId = request.user_id;
+  await cancelSubscriptions(admin, userId);
+  await removeAvatars(admin, userId);
+
+  const { error: dataError } = await admin.rpc("delete_user_data", { p_user_id: userId });
+  if (dataError) throw dataError;
+
+  const { error: authError } = await admin.auth.admin.deleteUser(userId);
+  if (authError) throw authError;
+
+  // Last, so the emailed link still works for a retry if anything above failed
+  // (the foreign key cascade normally removes it with the auth user already)
+  const { error: requestError } = await admin.from("account_deletion_requests").delete().eq("user_id", userId);
+  if (requestError) console.warn("[delete-account] Could not remove the deletion request", requestError.message);
+
+  console.log(`[delete-account] Deleted ${userId}`);
+  return jsonResponse({ deleted: true });
+}
+
+/**
+ * Stop future charges; past invoices stay in Stripe for accounting
+ */
+async function cancelSubscriptions(admin: AdminClient, userId: string) {
+  const { data, error } = await admin
+    .from("stripe_subscriptions")
+    .select("id, status")
+    .eq("user_id", userId);
+
+  // Table is optional (sql/schema/06-stripe-subscriptions-table.sql)
+  if (error) {
+    console.warn("[delete-account] Could not read subscriptions", error.message);
+    return;
+  }
+
+  for (const subscription of data ?? []) {
+    if (["canceled", "incomplete_expired"].includes(subscription.status)) continue;
+    await stripe.subscriptions.cancel(subscription.id);
+  }
+}
+
+async function removeAvatars(admin: AdminClient, userId: string) {
+  const bucket = admin.storage.from(AVATARS_BUCKET);
+  const { data: files, error } = await bucket.list(userId);
+  if (error || !files?.length) return;
+
+  const { error: removeError } = await bucket.remove(files.map((file) => `${userId}/${file.name}`));
+  if (removeError) throw removeError;
+}
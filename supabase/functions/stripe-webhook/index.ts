@@ -0,0 +1,406 @@
+// Stripe Webhook Edge Function
+// Grants, extends and revokes entitlements from Stripe events
+//
+// Handled events:
+// - checkout.session.completed (+ async_payment_succeeded) → grant or extend
+// - charge.refunded (full refunds only)                    → take back that purchase
+// - customer.subscription.deleted                          → revoke
+// - customer.subscription.created/updated/deleted          → mirror into stripe_subscriptions
+//
+// Every event id is recorded in stripe_events before acting, so Stripe's
+// retries and duplicate deliveries are processed exactly once.
+//
+// A repeat purchase extends the user's existing entitlements row; each purchase is
+// also recorded in entitlement_purchases so a refund only takes back its own days,
+// and the row's access_level is never lowered by buying a lower tier.
+//
+// Deploy with --no-verify-jwt: Stripe authenticates with its signature, not a Supabase JWT.
+
+import { Stripe, stripe } from "../_shared/stripe.ts";
+import { createAdminClient } from "../_shared/supabase.ts";
+
+const WEBHOOK_SECRET = Deno.env.get("STRIPE_WEBHOOK_SECRET") ?? "";
+// Lowest to highest, like CONFIG.accessLevels in auth-spike.js
+const ACCESS_LEVELS = (Deno.env.get("ACCESS_LEVELS") ?? "member,premium").split(",").map((level) => level.trim());
+const DAY_MS = 24 * 60 * 60 * 1000;
+const cryptoProvider = Stripe.createSubtleCryptoProvider();
+
+type AdminClient = ReturnType<typeof createAdminClient>;
+
+Deno.serve(async (req) => {
+  if (req.method !== "POST") {
+    return new Response("Method not allowed", { status: 405 });
+  }
+
+  const signature = req.headers.get("Stripe-Signature");
+  if (!signature) {
+    return new Response("Missing Stripe-Signature header", { status: 400 });
+  }
+
+  // Signature is computed over the raw body, so read it as text
+  const body = await req.text();
+
+  let event: Stripe.Event;
+  try {
+    event = await stripe.webhooks.constructEventAsync(
+      body,
+      signature,
+      WEBHOOK_SECRET,
+      undefined,
+      cryptoProvider,
+    );
+  } catch (error) {
+    console.warn("[stripe-webhook] Signature verification failed:", (error as Error).message);
+    return new Response("Invalid signature", { status: 400 });
+  }
+
+  const admin = createAdminClient();
+
+  // Record the event first - the primary key makes duplicates fail here
+  const { error: recordError } = await admin.from("stripe_events").insert({
+    id: event.id,
+    type: event.type,
+    created: new Date(event.created * 1000).toISOString(),
+    payload: event,
+  });
+
+  if (recordError) {
+    // 23505 = unique violation (already processed)
+    if (recordError.code === "23505") {
+      console.log(`[stripe-webhook] ${event.id} already processed, skipping`);
+      return jsonOk({ received: true, duplicate: true });
+    }
+    console.error("[stripe-webhook] Could not record event", recordError);
+    return new Response("Could not record event", { status: 500 });
+  }
+
+  try {
+    await handleEvent(admin, event);
+    return jsonOk({ received: true });
+  } catch (error) {
+    console.error(`[stripe-webhook] ${event.type} ${event.id} failed`, error);
+    // Forget the event so Stripe's retry gets processed
+    await admin.from("stripe_events").delete().eq("id", event.id);
+    return new Response("Webhook handler failed", { status: 500 });
+  }
+});
+
+function jsonOk(body: unknown): Response {
+  return new Response(JSON.stringify(body), {
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * The higher of two access levels (unknown levels rank lowest)
+ */
+function higherAccessLevel(a: string, b: string): string {
+  return ACCESS_LEVELS.indexOf(b) > ACCESS_LEVELS.indexOf(a) ? b : a;
+}
+
+async function handleEvent(admin: AdminClient, event: Stripe.Event) {
+  switch (event.type) {
+    case "checkout.session.completed":
+    case "checkout.session.async_payment_succeeded":
+      await handleCheckoutCompleted(admin, event.data.object as Stripe.Checkout.Session);
+      break;
+
+    case "charge.refunded":
+      await handleChargeRefunded(admin, event.data.object as Stripe.Charge);
+      break;
+
+    case "customer.subscription.created":
+    case "customer.subscription.updated":
+      await syncSubscription(admin, event.data.object as Stripe.Subscription);
+      break;
+
+    case "customer.subscription.deleted":
+      await syncSubscription(admin, event.data.object as Stripe.Subscription);
+      await handleSubscriptionDeleted(admin, event.data.object as Stripe.Subscription);
+      break;
+
+    default:
+      console.log(`[stripe-webhook] Ignoring ${event.type}`);
+  }
+}
+
+/**
+ * Grant a new entitlement, or extend the user's existing one for the course
+ * metadata comes from create-checkout-session: user_id, course_slug, access_level, access_days
+ */
+async function handleCheckoutCompleted(admin: AdminClient, session: Stripe.Checkout.Session) {
+  // Delayed payment methods complete later via async_payment_succeeded
+  if (session.payment_status === "unpaid") {
+    console.log(`[stripe-webhook] ${session.id} not paid yet, waiting`);
+    return;
+  }
+
+  const { user_id, course_slug, access_level, access_days } = session.metadata ?? {};
+  if (!user_id || !course_slug) {
+    console.warn(`[stripe-webhook] ${session.id} has no user_id/course_slug metadata, skipping`);
+    return;
+  }
+
+  // Already applied (e.g. completed and async_payment_succeeded both delivered)
+  const { data: recorded, error: recordedError } = await admin
+    .from("entitlement_purchases")
+    .select("id")
+    .eq("stripe_checkout_session_id", session.id)
+    .maybeSingle();
+  if (recordedError) throw recordedError;
+  if (recorded) {
+    console.log(`[stripe-webhook] ${session.id} already granted, skipping`);
+    return;
+  }
+
+  const customerId = typeof session.customer === "string" ? session.customer : session.customer?.id;
+  const paymentIntentId =
+    typeof session.payment_intent === "string" ? session.payment_intent : session.payment_intent?.id;
+
+  if (customerId) {
+    const { error } = await admin.from("stripe_customers").upsert(
+      {
+        user_id,
+        stripe_customer_id: customerId,
+        email: session.customer_details?.email ?? null,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "user_id" },
+    );
+    if (error) throw error;
+  }
+
+  const { data: existing, error: fetchError } = await admin
+    .from("entitlements")
+    .select("id, access_level, starts_at, ends_at")
+    .eq("user_id", user_id)
+    .eq("course_slug", course_slug)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  const now = new Date();
+  const isLapsed = existing?.ends_at && new Date(existing.ends_at) <= now;
+
+  // Time-limited purchases stack on top of any remaining access; subscriptions
+  // and lifetime purchases stay open-ended until revoked
+  const hasOpenEndedAccess = existing && !isLapsed && !existing.ends_at;
+  let endsAt: string | null = null;
+  let daysAdded: number | null = null; // Recorded on the purchase so a refund can take them back
+  if (session.mode === "payment" && access_days) {
+    daysAdded = hasOpenEndedAccess ? 0 : Number(access_days);
+  }
+  if (daysAdded) {
+    const from = existing?.ends_at && !isLapsed ? new Date(existing.ends_at) : now;
+    endsAt = new Date(from.getTime() + daysAdded * DAY_MS).toISOString();
+  }
+
+  // Buying a lower tier extends access but never downgrades an active higher one
+  const purchasedLevel = access_level || "member";
+  const accessLevel =
+    existing && !isLapsed ? higherAccessLevel(existing.access_level, purchasedLevel) : purchasedLevel;
+
+  const fields = {
+    access_level: accessLevel,
+    ends_at: endsAt,
+    source: "stripe",
+    stripe_customer_id: customerId ?? null,
+    stripe_checkout_session_id: session.id,
+    stripe_payment_intent_id: paymentIntentId ?? null,
+    updated_at: now.toISOString(),
+  };
+
+  let entitlementId: string;
+  if (existing) {
+    const { error } = await admin
+      .from("entitlements")
+      .update({ ...fields, starts_at: isLapsed || !existing.starts_at ? now.toISOString() : existing.starts_at })
+      .eq("id", existing.id);
+    if (error) throw error;
+    entitlementId = existing.id;
+    console.log(`[stripe-webhook] Extended ${course_slug} for ${user_id}`);
+  } else {
+    const { data: inserted, error } = await admin
+      .from("entitlements")
+      .insert({ ...fields, user_id, course_slug, starts_at: now.toISOString() })
+      .select("id")
+      .single();
+    if (error) throw error;
+    entitlementId = inserted.id;
+    console.log(`[stripe-webhook] Granted ${course_slug} to ${user_id}`);
+  }
+
+  const { error: purchaseError } = await admin.from("entitlement_purchases").insert({
+    entitlement_id: entitlementId,
+    user_id,
+    course_slug,
+    access_level: purchasedLevel,
+    days_added: daysAdded,
+    stripe_checkout_session_id: session.id,
+    stripe_payment_intent_id: paymentIntentId ?? null,
+    created_at: now.toISOString(), // Same clock as starts_at, which refunds compare against
+  });
+  if (purchaseError) throw purchaseError;
+}
+
+/**
+ * Take back what a fully refunded purchase granted, leaving other purchases alone:
+ * - Time-limited purchase → its days come off ends_at (never earlier than now)
+ * - Open-ended purchase   → access ends now, unless another open-ended purchase remains
+ * access_level drops to the highest level among the remaining purchases.
+ * The row is kept so support can see what happened
+ */
+async function handleChargeRefunded(admin: AdminClient, charge: Stripe.Charge) {
+  if (!charge.refunded) {
+    console.log(`[stripe-webhook] ${charge.id} partially refunded, keeping access`);
+    return;
+  }
+
+  const paymentIntentId =
+    typeof charge.payment_intent === "string" ? charge.payment_intent : charge.payment_intent?.id;
+  if (!paymentIntentId) return;
+
+  const { data: purchase, error: purchaseError } = await admin
+    .from("entitlement_purchases")
+    .select("id, entitlement_id, days_added, refunded_at")
+    .eq("stripe_payment_intent_id", paymentIntentId)
+    .maybeSingle();
+  if (purchaseError) throw purchaseError;
+
+  if (!purchase) {
+    await revokeByPaymentIntent(admin, paymentIntentId);
+    return;
+  }
+  if (purchase.refunded_at) {
+    console.log(`[stripe-webhook] ${paymentIntentId} already refunded, skipping`);
+    return;
+  }
+
+  const now = new Date();
+  const { data: entitlement, error: fetchError } = await admin
+    .from("entitlements")
+    .select("id, access_level, starts_at, ends_at")
+    .eq("id", purchase.entitlement_id)
+    .single();
+  if (fetchError) throw fetchError;
+
+  // Other unrefunded purchases in the current access period (a lapsed row restarts at starts_at)
+  let remainingQuery = admin
+    .from("entitlement_purchases")
+    .select("access_level, days_added")
+    .eq("entitlement_id", purchase.entitlement_id)
+    .neq("id", purchase.id)
+    .is("refunded_at", null);
+  if (entitlement.starts_at) remainingQuery = remainingQuery.gte("created_at", entitlement.starts_at);
+  const { data: remaining, error: remainingError } = await remainingQuery;
+  if (remainingError) throw remainingError;
+
+  let endsAt: string | null = entitlement.ends_at;
+  if (purchase.days_added === null) {
+    if (!(remaining ?? []).some((p) => p.days_added === null)) endsAt = now.toISOString();
+  } else if (purchase.days_added > 0 && entitlement.ends_at) {
+    const shortened = new Date(entitlement.ends_at).getTime() - purchase.days_added * DAY_MS;
+    endsAt = new Date(Math.max(shortened, now.getTime())).toISOString();
+  }
+
+  const accessLevel = (remaining ?? []).length
+    ? (remaining ?? []).map((p) => p.access_level).reduce(higherAccessLevel)
+    : entitlement.access_level;
+
+  const { error } = await admin
+    .from("entitlements")
+    .update({ ends_at: endsAt, access_level: accessLevel, updated_at: now.toISOString() })
+    .eq("id", entitlement.id);
+  if (error) throw error;
+
+  // Marked last, so a failure above is retried in full
+  const { error: markError } = await admin
+    .from("entitlement_purchases")
+    .update({ refunded_at: now.toISOString() })
+    .eq("id", purchase.id);
+  if (markError) throw markError;
+  console.log(`[stripe-webhook] Took back refunded ${paymentIntentId} (ends_at ${endsAt ?? "open-ended"})`);
+}
+
+/**
+ * Entitlements granted before entitlement_purchases existed: end the row outright
+ */
+async function revokeByPaymentIntent(admin: AdminClient, paymentIntentId: string) {
+  const { data, error } = await admin
+    .from("entitlements")
+    .update({ ends_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq("stripe_payment_intent_id", paymentIntentId)
+    .select("user_id, course_slug");
+
+  if (error) throw error;
+  console.log(`[stripe-webhook] Revoked ${data?.length ?? 0} entitlement(s) for refunded ${paymentIntentId}`);
+}
+
+/**
+ * Revoke access when a subscription ends (cancelled or unpaid)
+ * Subscription metadata is copied from the checkout session
+ */
+async function handleSubscriptionDeleted(admin: AdminClient, subscription: Stripe.Subscription) {
+  const { user_id, course_slug } = subscription.metadata ?? {};
+  const customerId =
+    typeof subscription.customer === "string" ? subscription.customer : subscription.customer.id;
+
+  if (!course_slug) {
+    console.warn(`[stripe-webhook] ${subscription.id} has no course_slug metadata, skipping`);
+    return;
+  }
+
+  let query = admin
+    .from("entitlements")
+    .update({ ends_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq("course_slug", course_slug)
+    .eq("stripe_customer_id", customerId);
+
+  if (user_id) query = query.eq("user_id", user_id);
+
+  const { data, error } = await query.select("user_id");
+  if (error) throw error;
+  console.log(`[stripe-webhook] Revoked ${course_slug} for ${data?.length ?? 0} user(s) after ${subscription.id} ended`);
+}
+
+/**
+ * Mirror a subscription's renewal/cancellation state into stripe_subscriptions
+ * The account page shows it next to the matching entitlement
+ */
+async function syncSubscription(admin: AdminClient, subscription: Stripe.Subscription) {
+  const { user_id, course_slug } = subscription.metadata ?? {};
+  if (!user_id || !course_slug) {
+    console.warn(`[stripe-webhook] ${subscription.id} has no user_id/course_slug metadata, skipping sync`);
+    return;
+  }
+
+  const customerId =
+    typeof subscription.customer === "string" ? subscription.customer : subscription.customer.id;
+  const toIso = (seconds: number | null | undefined) =>
+    seconds ? new Date(seconds * 1000).toISOString() : null;
+
+  const { error } = await admin.from("stripe_subscriptions").upsert(
+    {
+      id: subscription.id,
+      user_id,
+      stripe_customer_id: customerId,
+      course_slug,
+      status: subscription.status,
+      current_period_end: toIso(subscription.current_period_end),
+      cancel_at_period_end: subscription.cancel_at_period_end,
+      canceled_at: toIso(subscription.canceled_at),
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "id" },
+  );
+
+  // 23503 = foreign key violation: the user deleted their account (delete-account cancels first)
+  if (error?.code === "23503") {
+    console.log(`[stripe-webhook] ${subscription.id} belongs to a deleted user, skipping sync`);
+    return;
+  }
+  if (error) throw error;
+  console.log(`[stripe-webhook] Synced ${subscription.id} (${subscription.status})`);
+}